@@ -2,6 +2,9 @@ require('dotenv').config();
 const express = require('express');
 const app = express();
 const cors = require('cors');
+const crypto = require('crypto');
+const fs = require('fs');
+const nodemailer = require('nodemailer');
 const jwt = require('jsonwebtoken');
 const stripe = require('stripe')(process.env.STRIPE_SK);
 const { MongoClient, ServerApiVersion, ObjectId } = require('mongodb');
@@ -25,6 +28,21 @@ const articlesCollection = client.db('heraldDB').collection('articles');
 const plansCollection = client.db('heraldDB').collection('plans');
 const commentsCollection = client.db('heraldDB').collection('comments');
 const contactCollection = client.db('heraldDB').collection('contacts');
+const stripeEventsCollection = client.db('heraldDB').collection('stripeEvents');
+const promoCodesCollection = client.db('heraldDB').collection('promoCodes');
+const promoRedemptionsCollection = client.db('heraldDB').collection('promoRedemptions');
+const refreshTokensCollection = client.db('heraldDB').collection('refreshTokens');
+const articleRevisionsCollection = client.db('heraldDB').collection('articleRevisions');
+const articleViewsCollection = client.db('heraldDB').collection('articleViews');
+const articleViewersCollection = client.db('heraldDB').collection('articleViewers');
+const articleReadersCollection = client.db('heraldDB').collection('articleReaders');
+const ratingsCollection = client.db('heraldDB').collection('ratings');
+const commentReportsCollection = client.db('heraldDB').collection('commentReports');
+const bookmarksCollection = client.db('heraldDB').collection('bookmarks');
+const readingListsCollection = client.db('heraldDB').collection('readingLists');
+const followsCollection = client.db('heraldDB').collection('follows');
+const notificationsCollection = client.db('heraldDB').collection('notifications');
+const emailOutboxCollection = client.db('heraldDB').collection('emailOutbox');
 
 //NOTE: MIDDLEWARES
 app.use(
@@ -33,7 +51,16 @@ app.use(
 	})
 );
 // app.use(cors());
-app.use(express.json());
+app.use(
+	express.json({
+		// Stripe signs the exact bytes it sends, so keep them around for the webhook
+		verify: (req, res, buf) => {
+			if (req.originalUrl === '/webhooks/stripe') {
+				req.rawBody = buf;
+			}
+		},
+	})
+);
 
 //NOTE: CUSTOM MIDDLEWARES
 //? Verify user
@@ -44,7 +71,8 @@ const verifyUser = (req, res, next) => {
 	}
 	const token = authHeader.split(' ')[1];
 	jwt.verify(token, process.env.JWT_SECRET, (error, decoded) => {
-		if (error) {
+		// Tokens issued before login verified identity carry no user id
+		if (error || !decoded.sub) {
 			return res.status(401).send({ success: false, message: 'Unauthorized Access' });
 		}
 		req.decoded = decoded;
@@ -52,17 +80,67 @@ const verifyUser = (req, res, next) => {
 	});
 };
 
-//?  Verify Admin
-const verifyAdmin = async (req, res, next) => {
-	const email = req.decoded.email;
-	const query = { email: email };
-	const user = await usersCollection.findOne(query);
+//? The caller's token payload if they sent a valid one, for routes that also serve anonymous visitors
+const decodeOptionalToken = (req) =>
+	new Promise((resolve) => {
+		const token = req.headers.authorization?.split(' ')[1];
+		if (!token) {
+			return resolve(null);
+		}
+		jwt.verify(token, process.env.JWT_SECRET, (error, decoded) => {
+			resolve(!error && decoded.sub ? decoded : null);
+		});
+	});
+
+//? Permissions granted to each role
+const ROLE_PERMISSIONS = {
+	user: [],
+	editor: ['articles:review', 'articles:edit', 'articles:premium'],
+	moderator: ['articles:review', 'comments:moderate'],
+	'publisher-manager': ['publishers:manage'],
+	admin: [
+		'articles:review',
+		'articles:edit',
+		'articles:premium',
+		'comments:moderate',
+		'publishers:manage',
+		'plans:manage',
+		'payments:manage',
+		'users:view',
+		'users:manage_roles',
+		'stats:view',
+		'emails:manage',
+		'support:manage',
+	],
+};
+
+//? Whether a user's role grants a permission
+const hasPermission = (user, permission) => Boolean(ROLE_PERMISSIONS[user?.role]?.includes(permission));
+
+//? Verify Permission, routes declare the permission they need
+const requirePermission = (permission) => async (req, res, next) => {
+	try {
+		const user = await usersCollection.findOne({ email: req.decoded.email });
+		if (!hasPermission(user, permission)) {
+			return res.status(403).send({ success: false, message: 'Forbidden Access' });
+		}
+		req.user = user;
+		next();
+	} catch (error) {
+		res.status(500).json({ success: false, message: 'Error verifying permissions' });
+	}
+};
 
-	const isAdmin = user?.role === 'admin';
-	if (!isAdmin) {
-		return res.status(403).send({ success: false, message: 'Forbidden Access' });
+//? Whether the user currently has access to premium content
+const hasActiveSubscription = (user) => {
+	if (!user) {
+		return false;
 	}
-	next();
+	if (user.subscriptionStatus) {
+		return user.subscriptionStatus === 'active' || user.subscriptionStatus === 'past_due';
+	}
+	// Users who bought a one-off pass before recurring billing
+	return Boolean(user.hasSubscription && user.subscriptionEnd && new Date(user.subscriptionEnd) > new Date());
 };
 
 //? Verify Subscription
@@ -71,16 +149,18 @@ const verifySubscription = async (req, res, next) => {
 		const email = req.decoded.email;
 		const user = await usersCollection.findOne({ email });
 
-		if (!user?.hasSubscription) {
+		if (!user?.hasSubscription && !user?.subscriptionStatus) {
 			return res.status(403).json({
 				success: false,
 				message: 'This content requires an active subscription',
 			});
 		}
 
-		// Check if subscription has expired
-		if (user.subscriptionEnd && new Date(user.subscriptionEnd) < new Date()) {
-			await usersCollection.updateOne({ email }, { $set: { hasSubscription: false }, $unset: { subscriptionEnd: '' } });
+		if (!hasActiveSubscription(user)) {
+			// Clear an expired one-off pass, Stripe keeps recurring subscriptions in sync itself
+			if (!user.subscriptionStatus && user.hasSubscription) {
+				await usersCollection.updateOne({ email }, { $set: { hasSubscription: false }, $unset: { subscriptionEnd: '' } });
+			}
 
 			return res.status(403).json({
 				success: false,
@@ -97,15 +177,327 @@ const verifySubscription = async (req, res, next) => {
 	}
 };
 
+//? Create an index once per process instead of on every request
+const ensuredIndexes = new Map();
+const ensureIndex = (collection, keys, options = {}) => {
+	const key = `${collection.collectionName}:${JSON.stringify(keys)}`;
+	if (!ensuredIndexes.has(key)) {
+		ensuredIndexes.set(
+			key,
+			collection.createIndex(keys, options).catch((error) => {
+				ensuredIndexes.delete(key);
+				throw error;
+			})
+		);
+	}
+	return ensuredIndexes.get(key);
+};
+
+//? Escape user input for use in a $regex
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+//? Opaque keyset cursor, the sort field value and _id of the item a page starts after
+const encodeCursor = (field, item) =>
+	Buffer.from(
+		JSON.stringify({
+			f: field,
+			v: item[field] instanceof Date ? { $date: item[field].toISOString() } : item[field],
+			id: item._id.toString(),
+		})
+	).toString('base64url');
+
+const decodeCursor = (cursor, field) => {
+	try {
+		const { f, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+		if (f !== field) {
+			return null;
+		}
+		return { value: v?.$date ? new Date(v.$date) : v, id: new ObjectId(id) };
+	} catch (error) {
+		return null;
+	}
+};
+
+//? Cursor pagination over a descending `field` then _id, asked for with `after`, `before` or `paginate=cursor`.
+//? Returns null for offset pagination
+const parseCursorParams = (query, field) => {
+	const { after, before } = query;
+	if (after === undefined && before === undefined && query.paginate !== 'cursor') {
+		return null;
+	}
+
+	if (!after && !before) {
+		return { field, direction: -1, match: null, fromCursor: false };
+	}
+
+	const cursor = decodeCursor(after || before, field);
+	if (!cursor) {
+		return { error: 'Invalid cursor' };
+	}
+
+	// Going back walks the sort in reverse from the cursor, the page is flipped afterwards
+	const op = after ? '$lt' : '$gt';
+	const match =
+		field === '_id'
+			? { _id: { [op]: cursor.id } }
+			: { $or: [{ [field]: { [op]: cursor.value } }, { [field]: cursor.value, _id: { [op]: cursor.id } }] };
+
+	return { field, direction: after ? -1 : 1, match, fromCursor: true };
+};
+
+//? Trim the limit + 1 items fetched for a cursor page and work out the neighbouring cursors
+const toCursorPage = (items, limit, { field, direction, fromCursor }) => {
+	const hasMore = items.length > limit;
+	const data = items.slice(0, limit);
+	if (direction === 1) {
+		data.reverse();
+	}
+
+	const hasNext = direction === -1 ? hasMore : true;
+	const hasPrev = direction === 1 ? hasMore : fromCursor;
+	return {
+		data,
+		nextCursor: hasNext && data.length ? encodeCursor(field, data[data.length - 1]) : null,
+		prevCursor: hasPrev && data.length ? encodeCursor(field, data[0]) : null,
+	};
+};
+
+//? A page of `collection.find(filter)`, newest first on `field`, by offset or by cursor.
+//? The count is skipped for cursor pages unless `includeTotal=true`, and for offset pages with `includeTotal=false`.
+//? `offsetSort` changes the order of offset pages, null keeps the collection's natural order
+const findPage = async (collection, filter, field, query, { projection, offsetSort } = {}) => {
+	const limit = parseInt(query.limit) || 10;
+	const cursor = parseCursorParams(query, field);
+	if (cursor?.error) {
+		return { error: cursor.error };
+	}
+
+	const includeTotal = query.includeTotal === undefined ? !cursor : query.includeTotal === 'true';
+	const direction = cursor?.direction || -1;
+	const sort = field === '_id' ? { _id: direction } : { [field]: direction, _id: direction };
+
+	if (cursor) {
+		const [items, total] = await Promise.all([
+			collection
+				.find(cursor.match ? { $and: [filter, cursor.match] } : filter, { projection })
+				.sort(sort)
+				.limit(limit + 1)
+				.toArray(),
+			includeTotal ? collection.countDocuments(filter) : null,
+		]);
+		return { ...toCursorPage(items, limit, cursor), total, limit };
+	}
+
+	const page = parseInt(query.page) || 1;
+	const items = collection.find(filter, { projection });
+	const [data, total] = await Promise.all([
+		(offsetSort === null ? items : items.sort(offsetSort || sort))
+			.skip((page - 1) * limit)
+			.limit(limit)
+			.toArray(),
+		includeTotal ? collection.countDocuments(filter) : null,
+	]);
+	return { data, total, page, limit, totalPages: total === null ? null : Math.ceil(total / limit) };
+};
+
 // NOTE: AUTH AND JWT
-//? JWT auth and token
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_DAYS = 30;
+const FIREBASE_CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+let firebaseCerts = { keys: null, expiresAt: 0 };
+
+//? Google's Firebase signing certificates, cached for as long as Google allows
+const getFirebaseCerts = async () => {
+	if (firebaseCerts.keys && firebaseCerts.expiresAt > Date.now()) {
+		return firebaseCerts.keys;
+	}
+
+	const response = await fetch(FIREBASE_CERTS_URL);
+	if (!response.ok) {
+		throw new Error('Unable to fetch Firebase certificates');
+	}
+	const maxAge = Number(/max-age=(\d+)/.exec(response.headers.get('cache-control') || '')?.[1] || 3600);
+	firebaseCerts = { keys: await response.json(), expiresAt: Date.now() + maxAge * 1000 };
+	return firebaseCerts.keys;
+};
+
+//? Firebase ID token verifiers, FIREBASE_AUTH_PUBLIC_KEY swaps Google's keys for a local stand-in key
+const idTokenVerifiers = {
+	firebase: async (idToken) => {
+		const kid = jwt.decode(idToken, { complete: true })?.header?.kid;
+		const cert = (await getFirebaseCerts())[kid];
+		if (!cert) {
+			throw new Error('Unknown signing key');
+		}
+		return cert;
+	},
+	local: async () => process.env.FIREBASE_AUTH_PUBLIC_KEY.replace(/\\n/g, '\n'),
+};
+
+//? Verify a Firebase ID token and return its claims
+const verifyIdToken = async (idToken) => {
+	const getKey = process.env.FIREBASE_AUTH_PUBLIC_KEY ? idTokenVerifiers.local : idTokenVerifiers.firebase;
+	const projectId = process.env.FIREBASE_PROJECT_ID;
+	const claims = jwt.verify(idToken, await getKey(idToken), {
+		algorithms: ['RS256'],
+		audience: projectId,
+		issuer: `https://securetoken.google.com/${projectId}`,
+	});
+
+	if (!claims.sub || !claims.email) {
+		throw new Error('ID token has no subject or email');
+	}
+	return claims;
+};
+
+//? Refresh tokens are opaque, only their hash is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+//? Issue an access token and a new refresh token in the given family
+const issueTokens = async (user, familyId = crypto.randomUUID()) => {
+	const accessToken = jwt.sign(
+		{ sub: user._id.toString(), email: user.email, role: user.role },
+		process.env.JWT_SECRET,
+		{ expiresIn: ACCESS_TOKEN_TTL }
+	);
+	const refreshToken = crypto.randomBytes(48).toString('hex');
+
+	await ensureIndex(refreshTokensCollection, { tokenHash: 1 }, { unique: true });
+	await ensureIndex(refreshTokensCollection, { expiresAt: 1 }, { expireAfterSeconds: 0 });
+	await refreshTokensCollection.insertOne({
+		tokenHash: hashToken(refreshToken),
+		userId: user._id,
+		familyId,
+		createdAt: new Date(),
+		expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+		revokedAt: null,
+	});
+
+	return { uToken: accessToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+};
+
+//? Login with a Firebase ID token
 app.post('/auth/login', async (req, res) => {
-	const user = req.body;
+	const { idToken } = req.body;
+	if (!idToken) {
+		return res.status(400).json({ success: false, message: 'ID token is required' });
+	}
+
+	let claims;
 	try {
-		const token = jwt.sign(user, process.env.JWT_SECRET, { expiresIn: '1h' });
-		res.send({ success: true, uToken: token });
+		claims = await verifyIdToken(idToken);
 	} catch (error) {
-		console.log(error);
+		return res.status(401).json({ success: false, message: 'Invalid ID token' });
+	}
+
+	// Anyone can create a Firebase account with someone else's address, only a verified one proves ownership
+	if (claims.email_verified !== true) {
+		return res.status(403).json({ success: false, message: 'Verify your email address before logging in' });
+	}
+
+	try {
+		await ensureIndex(usersCollection, { email: 1 }, { unique: true });
+		await ensureIndex(
+			usersCollection,
+			{ firebaseUid: 1 },
+			{ unique: true, partialFilterExpression: { firebaseUid: { $type: 'string' } } }
+		);
+
+		let user = await usersCollection.findOne({ firebaseUid: claims.sub });
+		if (!user) {
+			// First login with this Firebase account: link the user registered with its email if no other account
+			// is linked to them yet, or create the user so the token always maps to a database user
+			user = await usersCollection.findOneAndUpdate(
+				{ email: claims.email, firebaseUid: null },
+				{
+					$set: { firebaseUid: claims.sub },
+					$setOnInsert: {
+						name: claims.name || '',
+						photo: claims.picture || '',
+						created_at: new Date(),
+						hasSubscription: false,
+						subscriptionEnd: null,
+						role: 'user',
+					},
+				},
+				{ upsert: true, returnDocument: 'after' }
+			);
+		}
+
+		const tokens = await issueTokens(user);
+		res.json({ success: true, ...tokens });
+	} catch (error) {
+		// The email belongs to a user linked to a different Firebase account
+		if (error.code === 11000) {
+			return res.status(409).json({ success: false, message: 'This email is linked to another account' });
+		}
+		console.error('Login Error:', error);
+		res.status(500).json({ success: false, message: 'Error logging in' });
+	}
+});
+
+//? Rotate refresh token
+app.post('/auth/refresh', async (req, res) => {
+	const { refreshToken } = req.body;
+	if (!refreshToken) {
+		return res.status(400).json({ success: false, message: 'Refresh token is required' });
+	}
+
+	try {
+		const stored = await refreshTokensCollection.findOne({ tokenHash: hashToken(refreshToken) });
+		if (!stored || stored.expiresAt < new Date()) {
+			return res.status(401).json({ success: false, message: 'Unauthorized Access' });
+		}
+
+		// A rotated token being used again means it leaked, end that whole login
+		if (stored.revokedAt) {
+			await refreshTokensCollection.updateMany(
+				{ familyId: stored.familyId, revokedAt: null },
+				{ $set: { revokedAt: new Date() } }
+			);
+			return res.status(401).json({ success: false, message: 'Unauthorized Access' });
+		}
+
+		const revoked = await refreshTokensCollection.updateOne(
+			{ _id: stored._id, revokedAt: null },
+			{ $set: { revokedAt: new Date() } }
+		);
+		if (revoked.modifiedCount === 0) {
+			return res.status(401).json({ success: false, message: 'Unauthorized Access' });
+		}
+
+		const user = await usersCollection.findOne({ _id: stored.userId });
+		if (!user) {
+			return res.status(401).json({ success: false, message: 'Unauthorized Access' });
+		}
+
+		const tokens = await issueTokens(user, stored.familyId);
+		res.json({ success: true, ...tokens });
+	} catch (error) {
+		console.error('Refresh Token Error:', error);
+		res.status(500).json({ success: false, message: 'Error refreshing token' });
+	}
+});
+
+//? Logout, revoke the refresh token (or every session with `all`)
+app.post('/auth/logout', async (req, res) => {
+	const { refreshToken, all } = req.body;
+	if (!refreshToken) {
+		return res.status(400).json({ success: false, message: 'Refresh token is required' });
+	}
+
+	try {
+		const stored = await refreshTokensCollection.findOne({ tokenHash: hashToken(refreshToken) });
+		if (stored) {
+			await refreshTokensCollection.updateMany(
+				all ? { userId: stored.userId, revokedAt: null } : { familyId: stored.familyId, revokedAt: null },
+				{ $set: { revokedAt: new Date() } }
+			);
+		}
+
+		res.json({ success: true, message: 'Logged out successfully' });
+	} catch (error) {
+		res.status(500).json({ success: false, message: 'Error logging out' });
 	}
 });
 
@@ -122,18 +514,20 @@ app.get('/users/subscription/:email', verifyUser, async (req, res) => {
 			return res.json({ success: true, hasSubscription: false });
 		}
 
-		const hasActiveSubscription =
-			user.hasSubscription && user.subscriptionEnd && new Date(user.subscriptionEnd) > new Date();
+		const isActive = hasActiveSubscription(user);
 
-		if (!hasActiveSubscription && user.hasSubscription) {
-			// Update user if subscription has expired
+		if (!isActive && !user.subscriptionStatus && user.hasSubscription) {
+			// Update user if one-off subscription has expired
 			await usersCollection.updateOne({ email }, { $set: { hasSubscription: false, subscriptionEnd: null } });
 		}
 
 		res.json({
 			success: true,
-			hasSubscription: hasActiveSubscription,
-			subscriptionEnd: hasActiveSubscription ? user.subscriptionEnd : null,
+			hasSubscription: isActive,
+			subscriptionEnd: isActive ? user.subscriptionEnd : null,
+			status: user.subscriptionStatus || (isActive ? 'active' : null),
+			planId: user.subscriptionPlanId || null,
+			cancelAtPeriodEnd: Boolean(user.cancelAtPeriodEnd),
 		});
 	} catch (error) {
 		res.status(500).json({ success: false, message: 'Server Error' });
@@ -142,11 +536,13 @@ app.get('/users/subscription/:email', verifyUser, async (req, res) => {
 
 //? Add firebase user to database
 app.post('/users', async (req, res) => {
-	const user = req.body;
+	const { name, email, photo } = req.body;
 	try {
-		await usersCollection.createIndex({ email: 1 }, { unique: true });
+		await ensureIndex(usersCollection, { email: 1 }, { unique: true });
 		const result = await usersCollection.insertOne({
-			...user,
+			name,
+			email,
+			photo,
 			created_at: new Date(),
 			hasSubscription: false,
 			subscriptionEnd: null,
@@ -238,29 +634,107 @@ app.patch('/users/profile', verifyUser, async (req, res) => {
 });
 
 // NOTE: ADMIN RELATED API
-//? is Admin
+//? is Admin, plus the user's role and permissions
 app.get('/users/admin/:email', verifyUser, async (req, res) => {
-	const email = req.params.email;
-	if (email !== req.decoded.email) {
-		return res.status(403).send({ success: false, message: 'Unauthorized access' });
+	try {
+		const email = req.params.email;
+		if (email !== req.decoded.email) {
+			return res.status(403).send({ success: false, message: 'Unauthorized access' });
+		}
+		const user = await usersCollection.findOne({ email: email });
+		const role = user?.role || 'user';
+		res.send({
+			success: true,
+			isAdmin: role === 'admin',
+			role,
+			permissions: ROLE_PERMISSIONS[role] || [],
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching user role',
+		});
+	}
+});
+
+//? Get roles and their permissions
+app.get('/admin/roles', verifyUser, requirePermission('users:manage_roles'), (req, res) => {
+	res.json({
+		success: true,
+		data: Object.entries(ROLE_PERMISSIONS).map(([role, permissions]) => ({ role, permissions })),
+	});
+});
+
+//? Set a user's role, refusing to demote the last admin
+const setUserRole = async (id, role) => {
+	const user = await usersCollection.findOneAndUpdate(
+		{ _id: new ObjectId(id) },
+		{ $set: { role, updated_at: new Date() } },
+		{ returnDocument: 'before' }
+	);
+	if (!user) {
+		return { status: 404, message: 'User not found' };
+	}
+
+	// Counted after demoting, two admins demoting each other at once would each still count the other beforehand
+	if (user.role === 'admin' && role !== 'admin') {
+		const admins = await usersCollection.countDocuments({ role: 'admin' });
+		if (admins === 0) {
+			await usersCollection.updateOne({ _id: user._id, role }, { $set: { role: 'admin' } });
+			return { status: 409, message: 'Cannot remove the last admin' };
+		}
+	}
+
+	if ((user.role || 'user') !== role) {
+		await notify(user.email, 'account', {
+			type: 'role_changed',
+			title: 'Your role has changed',
+			message: `You are now ${role === 'admin' || role === 'editor' ? 'an' : 'a'} ${role}.`,
+			data: { role, previousRole: user.role || 'user' },
+		});
 	}
-	const user = await usersCollection.findOne({ email: email });
-	let isAdmin = false;
-	if (user) {
-		isAdmin = user?.role === 'admin';
+	return { status: 200, user };
+};
+
+//? Change user role
+app.patch('/admin/users/:id/role', verifyUser, requirePermission('users:manage_roles'), async (req, res) => {
+	try {
+		const { role } = req.body;
+		if (!ROLE_PERMISSIONS[role]) {
+			return res.status(400).json({
+				success: false,
+				message: `Role must be one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}`,
+			});
+		}
+
+		const result = await setUserRole(req.params.id, role);
+		if (result.status !== 200) {
+			return res.status(result.status).json({
+				success: false,
+				message: result.message,
+			});
+		}
+
+		res.json({
+			success: true,
+			message: `User role changed to ${role}`,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error updating user role',
+		});
 	}
-	res.send({ success: true, isAdmin });
 });
 
 //? Make admin
-app.patch('/make-admin/:id', verifyUser, verifyAdmin, async (req, res) => {
+app.patch('/make-admin/:id', verifyUser, requirePermission('users:manage_roles'), async (req, res) => {
 	try {
-		const result = await usersCollection.updateOne({ _id: new ObjectId(req.params.id) }, { $set: { role: 'admin' } });
-
-		if (result.modifiedCount === 0) {
-			return res.status(404).json({
+		const result = await setUserRole(req.params.id, 'admin');
+		if (result.status !== 200) {
+			return res.status(result.status).json({
 				success: false,
-				message: 'User not found',
+				message: result.message,
 			});
 		}
 
@@ -277,23 +751,20 @@ app.patch('/make-admin/:id', verifyUser, verifyAdmin, async (req, res) => {
 });
 
 //? Get All Users
-app.get('/users', verifyUser, verifyAdmin, async (req, res) => {
+app.get('/users', verifyUser, requirePermission('users:view'), async (req, res) => {
 	try {
-		const page = parseInt(req.query.page) || 1;
-		const limit = parseInt(req.query.limit) || 10;
-		const skip = (page - 1) * limit;
-
-		const [users, total] = await Promise.all([
-			usersCollection.find().skip(skip).limit(limit).toArray(),
-			usersCollection.countDocuments(),
-		]);
+		// Offset pages keep the order users have always been listed in
+		const { error, ...page } = await findPage(usersCollection, {}, '_id', req.query, { offsetSort: null });
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error,
+			});
+		}
 
 		res.json({
 			success: true,
-			data: users,
-			total,
-			page,
-			limit,
+			...page,
 		});
 	} catch (error) {
 		res.status(500).json({
@@ -304,7 +775,7 @@ app.get('/users', verifyUser, verifyAdmin, async (req, res) => {
 });
 
 //? Make Article Premium
-app.patch('/articles/:id/premium', verifyUser, verifyAdmin, async (req, res) => {
+app.patch('/articles/:id/premium', verifyUser, requirePermission('articles:premium'), async (req, res) => {
 	try {
 		const result = await articlesCollection.updateOne(
 			{ _id: new ObjectId(req.params.id) },
@@ -331,24 +802,38 @@ app.patch('/articles/:id/premium', verifyUser, verifyAdmin, async (req, res) =>
 });
 
 //? Change Article Status
-app.patch('/admin/articles/:id', verifyUser, verifyAdmin, async (req, res) => {
+app.patch('/admin/articles/:id', verifyUser, requirePermission('articles:review'), async (req, res) => {
 	try {
 		const { status, declined_reason } = req.body;
-		const updateData = { status, updatedAt: new Date() };
-
-		if (declined_reason) {
-			updateData.declined_reason = declined_reason;
+		const { publishAt, error } = parsePublishAt(req.body.publishAt);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error,
+			});
 		}
 
-		const result = await articlesCollection.updateOne({ _id: new ObjectId(req.params.id) }, { $set: updateData });
+		const article = await articlesCollection.findOne({ _id: new ObjectId(req.params.id) });
 
-		if (result.modifiedCount === 0) {
+		if (!article) {
 			return res.status(404).json({
 				success: false,
 				message: 'Article not found',
 			});
 		}
 
+		const result = await transitionArticle(article, status, req.user, {
+			reason: declined_reason,
+			publishAt,
+			roles: ['reviewer'],
+		});
+		if (result.status !== 200) {
+			return res.status(result.status).json({
+				success: false,
+				message: result.message,
+			});
+		}
+
 		res.json({
 			success: true,
 			message: `Article ${status} successfully`,
@@ -361,191 +846,570 @@ app.patch('/admin/articles/:id', verifyUser, verifyAdmin, async (req, res) => {
 	}
 });
 
-// NOTE: ARTICLE RELATED API
-//? Get all articles
-app.get('/articles', async (req, res) => {
+//? Get upcoming scheduled articles
+app.get('/admin/articles/scheduled', verifyUser, requirePermission('articles:review'), async (req, res) => {
 	try {
-		const page = parseInt(req.query.page) || 1;
-		const limit = parseInt(req.query.limit) || 10;
-		const skip = (page - 1) * limit;
-
-		const search = req.query.search || '';
-		const publisher = req.query.publisher || '';
-		const tags = req.query.tags ? req.query.tags.split(',') : [];
-		const statuses = Array.isArray(req.query.status) ? req.query.status : [req.query.status].filter(Boolean);
-
-		const matchStage = {};
-
-		// Add status filter
-		if (statuses.length > 0) {
-			matchStage.status = { $in: statuses };
-		}
-
-		if (search) {
-			matchStage.$or = [{ title: { $regex: search, $options: 'i' } }, { content: { $regex: search, $options: 'i' } }];
-		}
-
-		if (publisher) {
-			matchStage.publisher = new ObjectId(publisher);
-		}
-
-		if (tags.length > 0) {
-			matchStage.tags = { $elemMatch: { value: { $in: tags } } };
-		}
-
-		const [articles, total] = await Promise.all([
-			articlesCollection
-				.aggregate([
-					{
-						$addFields: {
-							publisher: {
-								$cond: {
-									if: { $eq: [{ $type: '$publisher' }, 'string'] },
-									then: { $toObjectId: '$publisher' },
-									else: '$publisher',
-								},
-							},
-						},
-					},
-					{
-						$match: matchStage,
-					},
-					{
-						$lookup: {
-							from: 'publishers',
-							localField: 'publisher',
-							foreignField: '_id',
-							as: 'author',
-						},
-					},
-					{
-						$unwind: '$author',
-					},
-					{
-						$sort: { createdAt: -1 }, // Add sorting by creation date
-					},
-					{
-						$skip: skip,
-					},
-					{
-						$limit: limit,
-					},
-				])
-				.toArray(),
-			articlesCollection.countDocuments(matchStage),
-		]);
+		const articles = await articlesCollection
+			.find({ status: 'approved', publishAt: { $gt: new Date() } })
+			.project({ title: 1, authorEmail: 1, authorName: 1, publisher: 1, isPremium: 1, publishAt: 1, approvedAt: 1 })
+			.sort({ publishAt: 1 })
+			.toArray();
 
 		res.json({
 			success: true,
 			data: articles,
-			total,
-			page,
-			limit,
-			totalPages: Math.ceil(total / limit),
 		});
 	} catch (error) {
-		console.log(error);
 		res.status(500).json({
 			success: false,
-			message: 'Error fetching articles',
+			message: 'Error fetching scheduled articles',
 		});
 	}
 });
 
-//? Get trending articles
-app.get('/articles/trending', async (req, res) => {
+//? Reschedule an approved article that isn't live yet
+app.patch('/admin/articles/:id/schedule', verifyUser, requirePermission('articles:review'), async (req, res) => {
 	try {
-		const articles = await articlesCollection.find({ status: 'approved' }).sort({ views: -1 }).limit(6).toArray();
-		res.json({
-			success: true,
-			data: articles,
-		});
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			message: 'Error fetching trending articles',
+		const { publishAt, error } = parsePublishAt(req.body.publishAt);
+		if (error || !publishAt) {
+			return res.status(400).json({
+				success: false,
+				message: error || 'Publish time is required',
+			});
+		}
+
+		const now = new Date();
+		const isPublished = publishAt <= now;
+		const result = await articlesCollection.updateOne(
+			{ _id: new ObjectId(req.params.id), status: 'approved', publishAt: { $gt: now } },
+			{
+				$set: {
+					publishAt: isPublished ? now : publishAt,
+					isPublished,
+					publishedAt: isPublished ? now : null,
+					updatedAt: now,
+				},
+			}
+		);
+
+		if (result.matchedCount === 0) {
+			return res.status(404).json({
+				success: false,
+				message: 'No scheduled article found',
+			});
+		}
+
+		res.json({
+			success: true,
+			message: isPublished ? 'Article published' : 'Article rescheduled',
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error rescheduling article',
 		});
 	}
 });
 
-//? Get premium articles
-app.get('/articles/premium', verifyUser, verifySubscription, async (req, res) => {
-	try {
-		const page = Number.parseInt(req.query.page) || 1;
-		const limit = Number.parseInt(req.query.limit) || 10;
-		const skip = (page - 1) * limit;
+// NOTE: ARTICLE RELATED API
+//? Weighted text index backing article search
+const ARTICLE_TEXT_WEIGHTS = { title: 10, description: 5, content: 1 };
+
+//? A collection can only have one text index, so an existing one is reused if it indexes the same fields with the
+//? same weights whatever its name, and replaced otherwise. Checked once per process
+let articleTextIndex = null;
+const ensureArticleTextIndex = () => {
+	if (!articleTextIndex) {
+		articleTextIndex = (async () => {
+			const indexes = await articlesCollection.indexes().catch((error) => {
+				// The collection doesn't exist yet
+				if (error.code === 26) {
+					return [];
+				}
+				throw error;
+			});
 
-		const search = req.query.search || '';
-		const publisher = req.query.publisher || '';
-		const tags = req.query.tags ? req.query.tags.split(',') : [];
+			const existing = indexes.find((index) => index.key._fts === 'text');
+			if (existing) {
+				const fields = Object.keys(ARTICLE_TEXT_WEIGHTS);
+				const sameWeights =
+					Object.keys(existing.weights || {}).length === fields.length &&
+					fields.every((field) => existing.weights[field] === ARTICLE_TEXT_WEIGHTS[field]);
+				if (sameWeights) {
+					return existing.name;
+				}
+				await articlesCollection.dropIndex(existing.name);
+			}
 
-		const matchStage = {
-			isPremium: true,
-			status: 'approved',
-		};
+			return ensureIndex(
+				articlesCollection,
+				{ title: 'text', description: 'text', content: 'text' },
+				{ name: 'article_search', weights: ARTICLE_TEXT_WEIGHTS }
+			);
+		})().catch((error) => {
+			articleTextIndex = null;
+			throw error;
+		});
+	}
+	return articleTextIndex;
+};
 
-		if (search) {
-			matchStage.$or = [{ title: { $regex: search, $options: 'i' } }, { content: { $regex: search, $options: 'i' } }];
+//? Split a search into terms, "quoted phrases" and -excluded terms
+const parseSearchQuery = (value) => {
+	const terms = [];
+	const phrases = [];
+	const excluded = [];
+	const pattern = /(-?)"([^"]*)"|(-?)([^\s"]+)/g;
+
+	for (const [, phraseNegated, phrase, termNegated, term] of String(value || '')
+		.slice(0, 200)
+		.matchAll(pattern)) {
+		if (phrase !== undefined) {
+			const cleaned = phrase.trim();
+			if (cleaned) {
+				(phraseNegated ? excluded : phrases).push(cleaned);
+			}
+		} else if (term.replace(/^-+/, '')) {
+			(termNegated ? excluded : terms).push(term.replace(/^-+/, ''));
 		}
+	}
 
-		if (publisher) {
-			matchStage.publisher = new ObjectId(publisher);
+	if (terms.length === 0 && phrases.length === 0) {
+		return null;
+	}
+
+	// Rebuilt in $text syntax, which ANDs phrases, ORs terms and drops excluded words
+	const text = [
+		...phrases.map((phrase) => `"${phrase}"`),
+		...terms,
+		...excluded.map((word) => (word.includes(' ') ? `-"${word}"` : `-${word}`)),
+	].join(' ');
+
+	return { text, terms, phrases, excluded };
+};
+
+//? Escape text for HTML so only our <mark> tags reach the client
+const escapeHtml = (value) =>
+	String(value).replace(
+		/[&<>"']/g,
+		(char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char])
+	);
+
+//? Snippets around the matched words with the matches wrapped in <mark>
+const highlightText = (value, search, { snippetLength = 160, maxSnippets = 3 } = {}) => {
+	if (!value) {
+		return [];
+	}
+
+	const text = String(value)
+		.replace(/<[^>]*>/g, ' ')
+		.replace(/\s+/g, ' ')
+		.trim();
+	// Terms are stemmed by the text index, so highlight whole words starting with them
+	const pattern = new RegExp(
+		[...search.phrases.map(escapeRegex), ...search.terms.map((term) => `${escapeRegex(term)}\\w*`)].join('|'),
+		'gi'
+	);
+
+	const ranges = [];
+	for (const match of text.matchAll(pattern)) {
+		const start = Math.max(0, match.index - snippetLength / 2);
+		const end = Math.min(text.length, match.index + match[0].length + snippetLength / 2);
+		const last = ranges[ranges.length - 1];
+		if (last && start <= last.end) {
+			last.end = end;
+		} else if (ranges.length < maxSnippets) {
+			ranges.push({ start, end });
+		} else {
+			break;
 		}
+	}
 
-		if (tags.length > 0) {
-			matchStage.tags = { $elemMatch: { value: { $in: tags } } };
+	return ranges.map(({ start, end }) => {
+		const snippet = text.slice(start, end);
+		let html = '';
+		let cursor = 0;
+		for (const match of snippet.matchAll(pattern)) {
+			html += `${escapeHtml(snippet.slice(cursor, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+			cursor = match.index + match[0].length;
 		}
+		html += escapeHtml(snippet.slice(cursor));
+		return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+	});
+};
 
-		const [articles, total] = await Promise.all([
-			articlesCollection
-				.aggregate([
-					{
-						$addFields: {
-							publisher: {
-								$cond: {
-									if: { $eq: [{ $type: '$publisher' }, 'string'] },
-									then: { $toObjectId: '$publisher' },
-									else: '$publisher',
-								},
+//? Highlighted title, description and content snippets for a search hit
+const buildHighlights = (article, search) => ({
+	title: highlightText(article.title, search, { snippetLength: Infinity, maxSnippets: 1 })[0] || null,
+	description: highlightText(article.description, search, { maxSnippets: 1 })[0] || null,
+	content: highlightText(article.content, search),
+});
+
+//? Filters shared by the article listings, on stored fields so $text can lead the pipeline
+const buildArticleMatch = (query, baseMatch = {}, { includeScheduled = false } = {}) => {
+	// Scheduled articles stay hidden until their publish time
+	const match = includeScheduled ? { ...baseMatch } : { ...baseMatch, publishAt: { $not: { $gt: new Date() } } };
+	const search = parseSearchQuery(query.search);
+	const tags = query.tags ? query.tags.split(',') : [];
+
+	if (search) {
+		match.$text = { $search: search.text };
+	}
+
+	if (query.publisher) {
+		Object.assign(match, publisherArticlesFilter(query.publisher));
+	}
+
+	if (tags.length > 0) {
+		match.tags = { $elemMatch: { value: { $in: tags } } };
+	}
+
+	return { match, search };
+};
+
+//? A page of articles with their publisher, by relevance when searching and by publish time otherwise
+const listArticles = async (match, search, { skip = 0, limit, cursor, includeTotal = true }) => {
+	if (search) {
+		await ensureArticleTextIndex();
+	}
+
+	const direction = cursor?.direction || -1;
+	const sortField = search ? 'score' : 'publishedAt';
+
+	const [articles, total] = await Promise.all([
+		articlesCollection
+			.aggregate([
+				{
+					$match: match,
+				},
+				{
+					$addFields: {
+						publisher: {
+							$cond: {
+								if: { $eq: [{ $type: '$publisher' }, 'string'] },
+								then: { $toObjectId: '$publisher' },
+								else: '$publisher',
 							},
 						},
+						// Articles approved before scheduling existed are published from creation
+						publishedAt: { $ifNull: ['$publishAt', '$createdAt'] },
+						...(search && { score: { $meta: 'textScore' } }),
 					},
-					{
-						$match: matchStage,
+				},
+				// Keyset condition on the computed sort field
+				...(cursor?.match ? [{ $match: cursor.match }] : []),
+				{
+					$lookup: {
+						from: 'publishers',
+						localField: 'publisher',
+						foreignField: '_id',
+						as: 'author',
 					},
-					{
-						$lookup: {
-							from: 'publishers',
-							localField: 'publisher',
-							foreignField: '_id',
-							as: 'author',
+				},
+				{
+					$unwind: '$author',
+				},
+				{
+					$sort: { [sortField]: direction, _id: direction },
+				},
+				{
+					$skip: cursor ? 0 : skip,
+				},
+				{
+					$limit: cursor ? limit + 1 : limit,
+				},
+			])
+			.toArray(),
+		includeTotal ? articlesCollection.countDocuments(match) : null,
+	]);
+
+	const page = cursor ? toCursorPage(articles, limit, cursor) : { data: articles };
+	if (search) {
+		for (const article of page.data) {
+			article.highlights = buildHighlights(article, search);
+		}
+	}
+
+	return { ...page, total };
+};
+
+//? Result counts per tag, publisher, premium/free and month of creation for the current filters
+const getArticleFacets = async (match) => {
+	if (match.$text) {
+		await ensureArticleTextIndex();
+	}
+
+	const [facets] = await articlesCollection
+		.aggregate([
+			{
+				$match: match,
+			},
+			{
+				$facet: {
+					tags: [
+						{ $unwind: '$tags' },
+						{ $group: { _id: '$tags.value', label: { $first: '$tags.label' }, count: { $sum: 1 } } },
+						{ $sort: { count: -1, _id: 1 } },
+						{ $project: { _id: 0, value: '$_id', label: { $ifNull: ['$label', '$_id'] }, count: 1 } },
+					],
+					publishers: [
+						{
+							$group: {
+								_id: {
+									$cond: {
+										if: { $eq: [{ $type: '$publisher' }, 'string'] },
+										then: { $toObjectId: '$publisher' },
+										else: '$publisher',
+									},
+								},
+								count: { $sum: 1 },
+							},
 						},
+						{ $lookup: { from: 'publishers', localField: '_id', foreignField: '_id', as: 'publisher' } },
+						{ $unwind: '$publisher' },
+						{ $sort: { count: -1, 'publisher.name': 1 } },
+						{ $project: { _id: 1, name: '$publisher.name', logo: '$publisher.logo', count: 1 } },
+					],
+					premium: [{ $group: { _id: { $cond: ['$isPremium', 'premium', 'free'] }, count: { $sum: 1 } } }],
+					months: [
+						{ $group: { _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }, count: { $sum: 1 } } },
+						{ $sort: { _id: -1 } },
+						{ $project: { _id: 0, month: '$_id', count: 1 } },
+					],
+				},
+			},
+		])
+		.toArray();
+
+	return {
+		tags: facets.tags,
+		publishers: facets.publishers,
+		premium: {
+			premium: facets.premium.find((item) => item._id === 'premium')?.count || 0,
+			free: facets.premium.find((item) => item._id === 'free')?.count || 0,
+		},
+		months: facets.months,
+	};
+};
+
+//? A page of articles for the listing routes, offset pages by default and cursor pages on request
+const getArticlePage = async (query, baseMatch, options) => {
+	const page = parseInt(query.page) || 1;
+	const limit = parseInt(query.limit) || 10;
+	const { match, search } = buildArticleMatch(query, baseMatch, options);
+
+	const cursor = parseCursorParams(query, search ? 'score' : 'publishedAt');
+	if (cursor?.error) {
+		return { error: cursor.error };
+	}
+	const includeTotal = query.includeTotal === undefined ? !cursor : query.includeTotal === 'true';
+
+	const [{ data, total, nextCursor, prevCursor }, facets] = await Promise.all([
+		listArticles(match, search, { skip: (page - 1) * limit, limit, cursor, includeTotal }),
+		query.facets === 'true' ? getArticleFacets(match) : null,
+	]);
+
+	return {
+		data,
+		total,
+		limit,
+		...(cursor ? { nextCursor, prevCursor } : { page, totalPages: total === null ? null : Math.ceil(total / limit) }),
+		...(facets && { facets }),
+	};
+};
+
+//? Send a page of articles, or a 400 for a bad cursor
+const sendArticlePage = async (req, res, baseMatch, options) => {
+	const { error, ...page } = await getArticlePage(req.query, baseMatch, options);
+	if (error) {
+		return res.status(400).json({
+			success: false,
+			message: error,
+		});
+	}
+
+	res.json({
+		success: true,
+		...page,
+	});
+};
+
+//? Get all articles
+app.get('/articles', async (req, res) => {
+	try {
+		const statuses = Array.isArray(req.query.status) ? req.query.status : [req.query.status].filter(Boolean);
+		if (statuses.length === 0) {
+			return await sendArticlePage(req, res, {});
+		}
+
+		// Reviewers filtering by status manage the queue, they also see approved articles that aren't live yet
+		const decoded = await decodeOptionalToken(req);
+		const user = decoded && (await usersCollection.findOne({ email: decoded.email }));
+		await sendArticlePage(
+			req,
+			res,
+			{ status: { $in: statuses } },
+			{ includeScheduled: hasPermission(user, 'articles:review') }
+		);
+	} catch (error) {
+		console.log(error);
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching articles',
+		});
+	}
+});
+
+//? Trending windows and the half-life scores decay with inside each
+const TRENDING_WINDOWS = {
+	'24h': { hours: 24, halfLifeHours: 6 },
+	'7d': { hours: 7 * 24, halfLifeHours: 48 },
+	'30d': { hours: 30 * 24, halfLifeHours: 7 * 24 },
+};
+
+//? How much one view, comment and rating star count towards the trending score
+const TRENDING_WEIGHTS = { view: 1, comment: 5, ratingStar: 2 };
+
+//? exp(-ln2 * age / halfLife) on a date field, 1 for events happening now
+const decayExpression = (dateField, now, halfLifeHours) => ({
+	$exp: {
+		$multiply: [-Math.LN2, { $divide: [{ $subtract: [now, dateField] }, halfLifeHours * 60 * 60 * 1000] }],
+	},
+});
+
+//? Articles ranked by decayed recent views, comments and ratings
+const getTrendingArticles = async ({ window, tag, publisher, limit, exclude = [] }) => {
+	const now = new Date();
+	const since = new Date(now.getTime() - window.hours * 60 * 60 * 1000);
+
+	const articleMatch = { 'article.status': 'approved', 'article.publishAt': { $not: { $gt: now } } };
+	if (tag) {
+		articleMatch['article.tags.value'] = Array.isArray(tag) ? { $in: tag } : tag;
+	}
+	if (publisher) {
+		articleMatch['article.publisher'] = { $in: [new ObjectId(publisher), publisher] };
+	}
+	if (exclude.length) {
+		articleMatch['article._id'] = { $nin: exclude };
+	}
+
+	return articleViewsCollection
+		.aggregate([
+			{ $match: { bucket: { $gte: since } } },
+			{
+				$project: {
+					articleId: 1,
+					score: {
+						$multiply: ['$views', TRENDING_WEIGHTS.view, decayExpression('$bucket', now, window.halfLifeHours)],
 					},
-					{
-						$unwind: '$author',
-					},
-					{
-						$sort: { createdAt: -1 },
-					},
-					{
-						$skip: skip,
-					},
-					{
-						$limit: limit,
-					},
-				])
-				.toArray(),
-			articlesCollection.countDocuments(matchStage),
-		]);
+				},
+			},
+			{
+				$unionWith: {
+					coll: 'comments',
+					pipeline: [
+						{
+							$match: {
+								createdAt: { $gte: since },
+								deleted: { $ne: true },
+								moderationStatus: { $nin: ['held', 'hidden'] },
+							},
+						},
+						{
+							$project: {
+								articleId: { $convert: { input: '$articleId', to: 'objectId', onError: null, onNull: null } },
+								score: {
+									$multiply: [TRENDING_WEIGHTS.comment, decayExpression('$createdAt', now, window.halfLifeHours)],
+								},
+							},
+						},
+					],
+				},
+			},
+			{
+				$unionWith: {
+					coll: 'ratings',
+					pipeline: [
+						{ $match: { updatedAt: { $gte: since } } },
+						{
+							$project: {
+								articleId: 1,
+								score: {
+									$multiply: [
+										'$rating',
+										TRENDING_WEIGHTS.ratingStar,
+										decayExpression('$updatedAt', now, window.halfLifeHours),
+									],
+								},
+							},
+						},
+					],
+				},
+			},
+			{ $group: { _id: '$articleId', trendingScore: { $sum: '$score' } } },
+			{ $lookup: { from: 'articles', localField: '_id', foreignField: '_id', as: 'article' } },
+			{ $unwind: '$article' },
+			{ $match: articleMatch },
+			{ $sort: { trendingScore: -1, _id: -1 } },
+			{ $limit: limit },
+			{ $replaceRoot: { newRoot: { $mergeObjects: ['$article', { trendingScore: '$trendingScore' }] } } },
+		])
+		.toArray();
+};
+
+//? Get trending articles
+app.get('/articles/trending', async (req, res) => {
+	try {
+		const window = TRENDING_WINDOWS[req.query.window || '7d'];
+		if (!window) {
+			return res.status(400).json({
+				success: false,
+				message: `Window must be one of: ${Object.keys(TRENDING_WINDOWS).join(', ')}`,
+			});
+		}
+
+		const limit = Math.min(parseInt(req.query.limit) || 6, 50);
+		const { tag, publisher } = req.query;
+		const articles = await getTrendingArticles({ window, tag, publisher, limit });
+
+		// A quiet window is topped up with the most viewed articles so the list is never empty
+		if (articles.length < limit) {
+			const filter = {
+				status: 'approved',
+				publishAt: { $not: { $gt: new Date() } },
+				_id: { $nin: articles.map((article) => article._id) },
+			};
+			if (tag) {
+				filter['tags.value'] = tag;
+			}
+			if (publisher) {
+				filter.publisher = { $in: [new ObjectId(publisher), publisher] };
+			}
+
+			const fallback = await articlesCollection
+				.find(filter)
+				.sort({ views: -1 })
+				.limit(limit - articles.length)
+				.toArray();
+			articles.push(...fallback.map((article) => ({ ...article, trendingScore: 0 })));
+		}
 
 		res.json({
 			success: true,
 			data: articles,
-			total,
-			page,
-			limit,
-			totalPages: Math.ceil(total / limit),
 		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching trending articles',
+		});
+	}
+});
+
+//? Get premium articles
+app.get('/articles/premium', verifyUser, verifySubscription, async (req, res) => {
+	try {
+		await sendArticlePage(req, res, { isPremium: true, status: 'approved' });
 	} catch (error) {
 		console.log(error);
 		res.status(500).json({
@@ -569,6 +1433,17 @@ app.get('/articles/:id', verifyUser, async (req, res) => {
 			});
 		}
 
+		// Embargoed articles are only visible to their author and reviewers
+		if (article.publishAt && new Date(article.publishAt) > new Date() && article.authorEmail !== req.decoded.email) {
+			const user = await usersCollection.findOne({ email: req.decoded.email });
+			if (!hasPermission(user, 'articles:review')) {
+				return res.status(404).json({
+					success: false,
+					message: 'Article not found',
+				});
+			}
+		}
+
 		res.json({
 			success: true,
 			data: article,
@@ -586,7 +1461,10 @@ app.post('/articles', verifyUser, async (req, res) => {
 	try {
 		const email = req.decoded.email;
 		// Get user subscription status
-		const user = await usersCollection.findOne({ email }, { projection: { hasSubscription: 1, subscriptionEnd: 1 } });
+		const user = await usersCollection.findOne(
+			{ email },
+			{ projection: { hasSubscription: 1, subscriptionEnd: 1, subscriptionStatus: 1 } }
+		);
 
 		if (!user) {
 			return res.status(404).json({
@@ -595,8 +1473,7 @@ app.post('/articles', verifyUser, async (req, res) => {
 			});
 		}
 		// Check subscription status and expiry
-		const hasValidSubscription =
-			user.hasSubscription && (!user.subscriptionEnd || new Date(user.subscriptionEnd) > new Date());
+		const hasValidSubscription = hasActiveSubscription(user);
 
 		// If not subscribed, check article count
 		if (!hasValidSubscription) {
@@ -622,16 +1499,66 @@ app.post('/articles', verifyUser, async (req, res) => {
 			}
 		}
 
-		// Add metadata
+		const publisher = await findPublisher(article.publisher);
+		if (!publisher) {
+			return res.status(400).json({
+				success: false,
+				message: 'Publisher not found',
+			});
+		}
+		// The name is copied from the publisher so listings don't depend on what the client sent
+		article.publisherName = publisher.name;
+
+		// Add metadata, authors can keep a new article as a draft instead of submitting it
+		const status = article.draft ? 'draft' : 'pending';
+		delete article.draft;
 		article.createdAt = new Date();
 		article.updatedAt = new Date();
-		article.status = 'pending';
+		article.status = status;
+		article.statusHistory = [
+			{
+				from: null,
+				to: status,
+				actorEmail: email,
+				actorName: article.authorName || null,
+				role: 'author',
+				reason: null,
+				at: article.createdAt,
+			},
+		];
 		article.views = 0;
+		article.uniqueViews = 0;
 		article.ratings = [];
 		article.averageRating = 0;
+		article.ratingCount = 0;
+		article.ratingSum = 0;
+		article.ratingDistribution = emptyRatingDistribution();
+
+		// Touching the publisher in the same transaction makes a concurrent delete of it conflict with the insert
+		const session = client.startSession();
+		let result;
+		try {
+			result = await session.withTransaction(async () => {
+				const touched = await publishersCollection.updateOne(
+					{ _id: publisher._id },
+					{ $set: { lastArticleAt: article.createdAt } },
+					{ session }
+				);
+				if (touched.matchedCount === 0) {
+					return null;
+				}
+				return articlesCollection.insertOne(article, { session });
+			});
+		} finally {
+			await session.endSession();
+		}
 
-		const result = await articlesCollection.insertOne(article);
-
+		if (!result) {
+			return res.status(400).json({
+				success: false,
+				message: 'Publisher not found',
+			});
+		}
 		if (!result.insertedId) {
 			return res.status(400).json({
 				success: false,
@@ -656,9 +1583,6 @@ app.post('/articles', verifyUser, async (req, res) => {
 //? Get user's articles (My Articles)
 app.get('/articles/my-articles/:email', verifyUser, async (req, res) => {
 	const email = req.params.email;
-	const page = parseInt(req.query.page) || 1;
-	const limit = parseInt(req.query.limit) || 10;
-	const skip = (page - 1) * limit;
 	if (email !== req.decoded.email) {
 		return res.status(403).json({
 			success: false,
@@ -666,18 +1590,23 @@ app.get('/articles/my-articles/:email', verifyUser, async (req, res) => {
 		});
 	}
 	try {
-		const [articles, total] = await Promise.all([
-			articlesCollection.find({ authorEmail: email }).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
-			articlesCollection.countDocuments({ authorEmail: email }),
-		]);
+		const {
+			error,
+			data: articles,
+			...page
+		} = await findPage(articlesCollection, { authorEmail: email }, 'createdAt', req.query);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error,
+			});
+		}
+
 		res.json({
 			success: true,
 			data: {
 				articles,
-				total,
-				page,
-				limit,
-				totalPages: Math.ceil(total / limit),
+				...page,
 			},
 		});
 	} catch (error) {
@@ -723,307 +1652,4814 @@ app.get('/articles/user/:email', verifyUser, async (req, res) => {
 	}
 });
 
-//? Update article
-app.patch('/articles/:id', verifyUser, async (req, res) => {
-	try {
-		const { id } = req.params;
-		const updates = req.body;
+//? Editorial workflow, for each status the statuses it can move to and who may move it there.
+//? `system` is the automatic move back to review when an approved article is edited
+const ARTICLE_TRANSITIONS = {
+	draft: { pending: ['author'], archived: ['author', 'reviewer'] },
+	pending: { approved: ['reviewer'], declined: ['reviewer'], draft: ['author'], archived: ['author', 'reviewer'] },
+	declined: { resubmitted: ['author'], archived: ['author', 'reviewer'] },
+	resubmitted: { approved: ['reviewer'], declined: ['reviewer'], archived: ['author', 'reviewer'] },
+	approved: { pending: ['reviewer', 'system'], archived: ['author', 'reviewer'] },
+	archived: { draft: ['author'] },
+};
 
-		// Verify if the user is the author
-		const article = await articlesCollection.findOne({ _id: new ObjectId(id) });
-		if (!article) {
-			return res.status(404).json({
-				success: false,
-				message: 'Article not found',
-			});
-		}
+//? The workflow roles a user has on an article
+const getWorkflowRoles = (user, article) => {
+	const roles = [];
+	if (user?.email === article.authorEmail) {
+		roles.push('author');
+	}
+	if (hasPermission(user, 'articles:review')) {
+		roles.push('reviewer');
+	}
+	return roles;
+};
 
-		if (article.authorEmail !== req.decoded.email) {
-			return res.status(403).json({
-				success: false,
-				message: 'Unauthorized access',
-			});
-		}
+//? Parse an optional publish time from a request body
+const parsePublishAt = (value) => {
+	if (value === undefined || value === null || value === '') {
+		return {};
+	}
+	const publishAt = new Date(value);
+	if (Number.isNaN(publishAt.getTime())) {
+		return { error: 'Invalid publish time' };
+	}
+	return { publishAt };
+};
 
-		const result = await articlesCollection.updateOne({ _id: new ObjectId(id) }, { $set: updates });
+//? Move an article to a new status and record it in its timeline
+const transitionArticle = async (
+	article,
+	status,
+	actor,
+	{ reason, publishAt, roles = getWorkflowRoles(actor, article) } = {}
+) => {
+	const allowed = ARTICLE_TRANSITIONS[article.status]?.[status];
+	if (!allowed) {
+		return { status: 400, message: `Cannot move an article from ${article.status} to ${status}` };
+	}
 
-		if (result.modifiedCount === 0) {
-			return res.status(400).json({
-				success: false,
-				message: 'Failed to update article',
-			});
-		}
+	const role = roles.find((item) => allowed.includes(item));
+	if (!role) {
+		return { status: 403, message: `You are not allowed to move this article to ${status}` };
+	}
 
-		res.json({
-			success: true,
-			message: 'Article updated successfully',
-		});
-	} catch (error) {
+	if (status === 'declined' && !reason?.trim()) {
+		return { status: 400, message: 'A declined reason is required' };
+	}
+
+	const now = new Date();
+	const set = { status, updatedAt: now };
+	if (status === 'declined') {
+		set.declined_reason = reason.trim();
+	}
+	if (status === 'approved') {
+		// Approval publishes now unless a later publish time is given, the scheduler flips it live then
+		set.approvedAt = now;
+		set.publishAt = publishAt && publishAt > now ? publishAt : now;
+		set.isPublished = set.publishAt <= now;
+		set.publishedAt = set.isPublished ? set.publishAt : null;
+	} else if (article.status === 'approved') {
+		set.isPublished = false;
+		set.publishedAt = null;
+	}
+
+	// Matching on the current status makes concurrent transitions fail instead of overwriting each other
+	const result = await articlesCollection.updateOne(
+		{ _id: article._id, status: article.status },
+		{
+			$set: set,
+			$push: {
+				statusHistory: {
+					from: article.status,
+					to: status,
+					actorEmail: actor.email,
+					actorName: actor.name || null,
+					role,
+					reason: reason?.trim() || null,
+					at: now,
+				},
+			},
+		}
+	);
+
+	if (result.modifiedCount === 0) {
+		return { status: 409, message: 'Article status changed, please reload' };
+	}
+
+	// Authors hear about moves they didn't make themselves
+	if (actor.email !== article.authorEmail) {
+		await notifyArticleStatus(article, status, { reason: reason?.trim(), publishAt: set.publishAt });
+	}
+	if (status === 'declined') {
+		await queueEmail(article.authorEmail, 'article_declined', {
+			name: article.authorName,
+			title: article.title,
+			reason: set.declined_reason,
+			articleId: article._id.toString(),
+		});
+	}
+	return { status: 200 };
+};
+
+//? Article fields authors and editors can change, and that revisions track
+const EDITABLE_ARTICLE_FIELDS = ['title', 'image', 'publisher', 'publisherName', 'tags', 'description', 'content'];
+
+//? Only the tracked fields of an article
+const pickArticleFields = (article) =>
+	Object.fromEntries(
+		EDITABLE_ARTICLE_FIELDS.filter((field) => article[field] !== undefined).map((field) => [field, article[field]])
+	);
+
+//? Field-level differences between two article snapshots
+const diffArticleFields = (from, to) =>
+	EDITABLE_ARTICLE_FIELDS.filter(
+		(field) => JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null)
+	).map((field) => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+
+//? Whether a user may edit an article and read its revisions
+const canEditArticle = (user, article) =>
+	Boolean(user) && (article.authorEmail === user.email || hasPermission(user, 'articles:edit'));
+
+//? Store a revision snapshot, numbered per article
+const recordArticleRevision = async (article, revision) => {
+	const { revisionCount } = await articlesCollection.findOneAndUpdate(
+		{ _id: article._id },
+		{ $inc: { revisionCount: 1 } },
+		{ returnDocument: 'after', projection: { revisionCount: 1 } }
+	);
+
+	await ensureIndex(articleRevisionsCollection, { articleId: 1, rev: 1 }, { unique: true });
+	await articleRevisionsCollection.insertOne({
+		articleId: article._id,
+		rev: revisionCount,
+		...revision,
+	});
+	return revisionCount;
+};
+
+//? Articles written before revisions existed get their original content as revision 1
+const ensureBaselineRevision = async (article) => {
+	if (article.revisionCount) {
+		return;
+	}
+	await recordArticleRevision(article, {
+		snapshot: pickArticleFields(article),
+		changedFields: [],
+		editorEmail: article.authorEmail,
+		editorName: article.authorName || null,
+		createdAt: article.createdAt || new Date(),
+	});
+};
+
+//? Apply an edit to an article and record it as a new revision. Approved content changed by anyone but a reviewer
+//? goes back to review before the edit is written, so a failed move back leaves the live article untouched
+const applyArticleEdit = async (article, updates, editor, extra = {}) => {
+	const changes = diffArticleFields(article, { ...article, ...updates });
+	if (changes.length === 0) {
+		return { status: 200, changes, rev: null, articleStatus: article.status };
+	}
+
+	let articleStatus = article.status;
+	if (article.status === 'approved' && !hasPermission(editor, 'articles:review')) {
+		const result = await transitionArticle(article, 'pending', editor, { roles: ['system'] });
+		if (result.status !== 200) {
+			return result;
+		}
+		articleStatus = 'pending';
+	}
+
+	await ensureBaselineRevision(article);
+	const now = new Date();
+	// Only lands if no one moved the article through the workflow in the meantime
+	const result = await articlesCollection.updateOne(
+		{ _id: article._id, status: articleStatus },
+		{ $set: { ...updates, updatedAt: now } }
+	);
+	if (result.matchedCount === 0) {
+		return { status: 409, message: 'Article status changed, please reload' };
+	}
+
+	const rev = await recordArticleRevision(article, {
+		snapshot: pickArticleFields({ ...article, ...updates }),
+		changedFields: changes.map((change) => change.field),
+		editorEmail: editor.email,
+		editorName: editor.name || null,
+		createdAt: now,
+		...extra,
+	});
+	return { status: 200, changes, rev, articleStatus };
+};
+
+//? Load an article and check the caller may see its revisions
+const getEditableArticle = async (req, res) => {
+	const [article, user] = await Promise.all([
+		articlesCollection.findOne({ _id: new ObjectId(req.params.id) }),
+		usersCollection.findOne({ email: req.decoded.email }),
+	]);
+
+	if (!article) {
+		res.status(404).json({
+			success: false,
+			message: 'Article not found',
+		});
+		return {};
+	}
+
+	if (!canEditArticle(user, article)) {
+		res.status(403).json({
+			success: false,
+			message: 'Unauthorized access',
+		});
+		return {};
+	}
+
+	return { article, user };
+};
+
+//? Update article
+app.patch('/articles/:id', verifyUser, async (req, res) => {
+	try {
+		const { article, user } = await getEditableArticle(req, res);
+		if (!article) {
+			return;
+		}
+
+		// Status only changes through the workflow, never through an edit
+		const updates = pickArticleFields(req.body);
+		delete updates.publisherName;
+		if (updates.publisher !== undefined) {
+			const publisher = await findPublisher(updates.publisher);
+			if (!publisher) {
+				return res.status(400).json({
+					success: false,
+					message: 'Publisher not found',
+				});
+			}
+			updates.publisherName = publisher.name;
+		}
+		const { status, message, changes, rev, articleStatus } = await applyArticleEdit(article, updates, user);
+		if (status !== 200) {
+			return res.status(status).json({
+				success: false,
+				message,
+			});
+		}
+
+		if (changes.length === 0) {
+			return res.status(400).json({
+				success: false,
+				message: 'Nothing to update',
+			});
+		}
+
+		res.json({
+			success: true,
+			message:
+				articleStatus === article.status ? 'Article updated successfully' : 'Article updated and sent back for review',
+			data: { rev, status: articleStatus, changedFields: changes.map((change) => change.field) },
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error updating article',
+		});
+	}
+});
+
+//? Get article revisions, newest first
+app.get('/articles/:id/revisions', verifyUser, async (req, res) => {
+	try {
+		const { article } = await getEditableArticle(req, res);
+		if (!article) {
+			return;
+		}
+
+		const filter = { articleId: article._id };
+		const { error, ...page } = await findPage(articleRevisionsCollection, filter, 'rev', req.query, {
+			projection: { snapshot: 0 },
+		});
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error,
+			});
+		}
+
+		res.json({
+			success: true,
+			...page,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching revisions',
+		});
+	}
+});
+
+//? Diff two article revisions
+app.get('/articles/:id/revisions/diff', verifyUser, async (req, res) => {
+	try {
+		const { article } = await getEditableArticle(req, res);
+		if (!article) {
+			return;
+		}
+
+		const from = Number.parseInt(req.query.from);
+		const to = Number.parseInt(req.query.to);
+		if (!from || !to) {
+			return res.status(400).json({
+				success: false,
+				message: 'from and to revisions are required',
+			});
+		}
+
+		const revisions = await articleRevisionsCollection
+			.find({ articleId: article._id, rev: { $in: [from, to] } })
+			.toArray();
+		const fromRevision = revisions.find((revision) => revision.rev === from);
+		const toRevision = revisions.find((revision) => revision.rev === to);
+		if (!fromRevision || !toRevision) {
+			return res.status(404).json({
+				success: false,
+				message: 'Revision not found',
+			});
+		}
+
+		res.json({
+			success: true,
+			data: {
+				from,
+				to,
+				changes: diffArticleFields(fromRevision.snapshot, toRevision.snapshot),
+			},
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error comparing revisions',
+		});
+	}
+});
+
+//? Get a single article revision
+app.get('/articles/:id/revisions/:rev', verifyUser, async (req, res) => {
+	try {
+		const { article } = await getEditableArticle(req, res);
+		if (!article) {
+			return;
+		}
+
+		const revision = await articleRevisionsCollection.findOne({
+			articleId: article._id,
+			rev: Number.parseInt(req.params.rev),
+		});
+		if (!revision) {
+			return res.status(404).json({
+				success: false,
+				message: 'Revision not found',
+			});
+		}
+
+		res.json({
+			success: true,
+			data: revision,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching revision',
+		});
+	}
+});
+
+//? Restore an article revision (recorded as a new revision)
+app.post('/articles/:id/revisions/:rev/restore', verifyUser, async (req, res) => {
+	try {
+		const { article, user } = await getEditableArticle(req, res);
+		if (!article) {
+			return;
+		}
+
+		const rev = Number.parseInt(req.params.rev);
+		const revision = await articleRevisionsCollection.findOne({ articleId: article._id, rev });
+		if (!revision) {
+			return res.status(404).json({
+				success: false,
+				message: 'Revision not found',
+			});
+		}
+
+		// The publisher may have been renamed since this revision, or deleted, then the article keeps its current one
+		const updates = { ...revision.snapshot };
+		const publisher = await findPublisher(updates.publisher);
+		if (publisher) {
+			updates.publisherName = publisher.name;
+		} else {
+			updates.publisher = article.publisher;
+			updates.publisherName = article.publisherName;
+		}
+		const edit = await applyArticleEdit(article, updates, user, { restoredFrom: rev });
+		if (edit.status !== 200) {
+			return res.status(edit.status).json({
+				success: false,
+				message: edit.message,
+			});
+		}
+
+		if (edit.changes.length === 0) {
+			return res.status(400).json({
+				success: false,
+				message: 'Article already matches this revision',
+			});
+		}
+
+		res.json({
+			success: true,
+			message:
+				edit.articleStatus === article.status
+					? `Article restored to revision ${rev}`
+					: `Article restored to revision ${rev} and sent back for review`,
+			data: { rev: edit.rev, status: edit.articleStatus, changedFields: edit.changes.map((change) => change.field) },
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error restoring revision',
+		});
+	}
+});
+
+//? Move article through the workflow (author submits, resubmits or archives, reviewers approve or decline)
+app.post('/articles/:id/status', verifyUser, async (req, res) => {
+	try {
+		const { status, declined_reason } = req.body;
+		const { publishAt, error } = parsePublishAt(req.body.publishAt);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error,
+			});
+		}
+
+		const [article, user] = await Promise.all([
+			articlesCollection.findOne({ _id: new ObjectId(req.params.id) }),
+			usersCollection.findOne({ email: req.decoded.email }),
+		]);
+
+		if (!article) {
+			return res.status(404).json({
+				success: false,
+				message: 'Article not found',
+			});
+		}
+
+		const result = await transitionArticle(article, status, user, { reason: declined_reason, publishAt });
+		if (result.status !== 200) {
+			return res.status(result.status).json({
+				success: false,
+				message: result.message,
+			});
+		}
+
+		res.json({
+			success: true,
+			message: `Article moved to ${status}`,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error updating article status',
+		});
+	}
+});
+
+//? Get article status timeline
+app.get('/articles/:id/timeline', verifyUser, async (req, res) => {
+	try {
+		const [article, user] = await Promise.all([
+			articlesCollection.findOne(
+				{ _id: new ObjectId(req.params.id) },
+				{ projection: { authorEmail: 1, status: 1, statusHistory: 1 } }
+			),
+			usersCollection.findOne({ email: req.decoded.email }),
+		]);
+
+		if (!article) {
+			return res.status(404).json({
+				success: false,
+				message: 'Article not found',
+			});
+		}
+
+		if (getWorkflowRoles(user, article).length === 0 && !hasPermission(user, 'articles:edit')) {
+			return res.status(403).json({
+				success: false,
+				message: 'Unauthorized access',
+			});
+		}
+
+		res.json({
+			success: true,
+			data: {
+				status: article.status,
+				timeline: article.statusHistory || [],
+			},
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching article timeline',
+		});
+	}
+});
+
+//? Delete Article (archived through the workflow, its revisions are kept so it can be brought back)
+app.delete('/articles/:id', verifyUser, async (req, res) => {
+	try {
+		const { article, user } = await getEditableArticle(req, res);
+		if (!article) {
+			return;
+		}
+
+		if (article.status !== 'archived') {
+			const result = await transitionArticle(article, 'archived', user);
+			if (result.status !== 200) {
+				return res.status(result.status).json({
+					success: false,
+					message: result.message,
+				});
+			}
+		}
+
+		res.json({
+			success: true,
+			message: 'Article archived successfully',
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error deleting article',
+		});
+	}
+});
+
+// NOTE: ALL API RELATED TO PUBLISHER
+//? Load a publisher by id, null for ids that don't parse
+const findPublisher = (id) =>
+	ObjectId.isValid(id) ? publishersCollection.findOne({ _id: new ObjectId(id) }) : Promise.resolve(null);
+
+//? Articles pointing at any of the publishers, older articles store the publisher id as a string
+const publisherArticlesFilter = (...publisherIds) => ({
+	publisher: { $in: publisherIds.flatMap((id) => [new ObjectId(id), id.toString()]) },
+});
+
+//? Validate publisher fields, only the given ones when partial
+const validatePublisher = (body, partial = false) => {
+	const publisher = {};
+	const has = (field) => body[field] !== undefined;
+
+	if (has('name') || !partial) {
+		if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > 100) {
+			return { error: 'Name is required and can be at most 100 characters' };
+		}
+		publisher.name = body.name.trim();
+	}
+
+	if (has('logo') || !partial) {
+		if (typeof body.logo !== 'string' || !body.logo.trim()) {
+			return { error: 'Logo is required' };
+		}
+		publisher.logo = body.logo.trim();
+	}
+
+	if (has('description')) {
+		if (body.description !== null && typeof body.description !== 'string') {
+			return { error: 'Description must be a string' };
+		}
+		publisher.description = body.description?.trim().slice(0, 2000) || null;
+	}
+
+	if (has('website')) {
+		if (body.website && !/^https?:\/\/[^\s/$.?#].[^\s]*$/i.test(body.website)) {
+			return { error: 'Website must be an http or https URL' };
+		}
+		publisher.website = body.website || null;
+	}
+
+	return { publisher };
+};
+
+//? Whether another publisher already uses a name, compared case-insensitively
+const publisherNameTaken = (name, exceptId) =>
+	publishersCollection.findOne(
+		{ name: { $regex: `^${escapeRegex(name)}$`, $options: 'i' }, ...(exceptId && { _id: { $ne: exceptId } }) },
+		{ projection: { _id: 1 } }
+	);
+
+//? Add Publisher
+app.post('/publishers', verifyUser, requirePermission('publishers:manage'), async (req, res) => {
+	try {
+		const { publisher, error } = validatePublisher(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error,
+			});
+		}
+
+		if (await publisherNameTaken(publisher.name)) {
+			return res.status(409).json({
+				success: false,
+				message: 'A publisher with this name already exists',
+			});
+		}
+
+		const result = await publishersCollection.insertOne({
+			description: null,
+			website: null,
+			...publisher,
+			followerCount: 0,
+			createdAt: new Date(),
+		});
+
+		res.status(201).json({
+			success: true,
+			message: 'Publisher added successfully',
+			data: result,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error adding publisher',
+		});
+	}
+});
+
+//? Get Publishers
+app.get('/publishers', async (req, res) => {
+	try {
+		const publishers = await publishersCollection.find().sort({ name: 1 }).toArray();
+		res.json({
+			success: true,
+			data: publishers,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching publishers',
+		});
+	}
+});
+
+//? Get a publisher's public profile with its article, view and rating stats
+app.get('/publishers/:id', async (req, res) => {
+	try {
+		const publisher = await findPublisher(req.params.id);
+		if (!publisher) {
+			return res.status(404).json({
+				success: false,
+				message: 'Publisher not found',
+			});
+		}
+
+		const [stats] = await articlesCollection
+			.aggregate([
+				{
+					$match: {
+						...publisherArticlesFilter(publisher._id),
+						status: 'approved',
+						publishAt: { $not: { $gt: new Date() } },
+					},
+				},
+				{
+					$group: {
+						_id: null,
+						articleCount: { $sum: 1 },
+						premiumArticles: { $sum: { $cond: ['$isPremium', 1, 0] } },
+						totalViews: { $sum: { $ifNull: ['$views', 0] } },
+						ratingCount: { $sum: { $ifNull: ['$ratingCount', 0] } },
+						ratingSum: { $sum: { $ifNull: ['$ratingSum', 0] } },
+						authors: { $addToSet: '$authorEmail' },
+						latestArticleAt: { $max: { $ifNull: ['$publishAt', '$createdAt'] } },
+					},
+				},
+			])
+			.toArray();
+
+		res.json({
+			success: true,
+			data: {
+				...publisher,
+				followerCount: publisher.followerCount || 0,
+				stats: {
+					articleCount: stats?.articleCount || 0,
+					premiumArticles: stats?.premiumArticles || 0,
+					totalViews: stats?.totalViews || 0,
+					ratingCount: stats?.ratingCount || 0,
+					averageRating: stats?.ratingCount ? Math.round((stats.ratingSum / stats.ratingCount) * 100) / 100 : null,
+					authorCount: stats?.authors.length || 0,
+					latestArticleAt: stats?.latestArticleAt || null,
+				},
+			},
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching publisher',
+		});
+	}
+});
+
+//? Update a publisher, a new name is copied onto its articles
+app.patch('/publishers/:id', verifyUser, requirePermission('publishers:manage'), async (req, res) => {
+	try {
+		const { publisher: updates, error } = validatePublisher(req.body, true);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error,
+			});
+		}
+		if (Object.keys(updates).length === 0) {
+			return res.status(400).json({
+				success: false,
+				message: 'Nothing to update',
+			});
+		}
+
+		const publisher = await findPublisher(req.params.id);
+		if (!publisher) {
+			return res.status(404).json({
+				success: false,
+				message: 'Publisher not found',
+			});
+		}
+
+		if (updates.name && (await publisherNameTaken(updates.name, publisher._id))) {
+			return res.status(409).json({
+				success: false,
+				message: 'A publisher with this name already exists',
+			});
+		}
+
+		const session = client.startSession();
+		try {
+			await session.withTransaction(async () => {
+				await publishersCollection.updateOne(
+					{ _id: publisher._id },
+					{ $set: { ...updates, updatedAt: new Date() } },
+					{ session }
+				);
+				if (updates.name && updates.name !== publisher.name) {
+					await articlesCollection.updateMany(
+						publisherArticlesFilter(publisher._id),
+						{ $set: { publisherName: updates.name } },
+						{ session }
+					);
+				}
+			});
+		} finally {
+			await session.endSession();
+		}
+
+		res.json({
+			success: true,
+			message: 'Publisher updated successfully',
+			data: { ...publisher, ...updates },
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error updating publisher',
+		});
+	}
+});
+
+//? Delete a publisher. While articles reference it, `reassignTo` has to name the publisher they move to
+app.delete('/publishers/:id', verifyUser, requirePermission('publishers:manage'), async (req, res) => {
+	try {
+		const publisher = await findPublisher(req.params.id);
+		if (!publisher) {
+			return res.status(404).json({
+				success: false,
+				message: 'Publisher not found',
+			});
+		}
+
+		const reassignTo = req.body?.reassignTo || req.query.reassignTo;
+		let target = null;
+		if (reassignTo) {
+			target = await findPublisher(reassignTo);
+			if (!target || target._id.equals(publisher._id)) {
+				return res.status(400).json({
+					success: false,
+					message: 'reassignTo must be another existing publisher',
+				});
+			}
+		}
+
+		// Counted inside the transaction, an article created meanwhile touches the publisher and makes this retry
+		const session = client.startSession();
+		let result;
+		try {
+			result = await session.withTransaction(async () => {
+				const articleCount = await articlesCollection.countDocuments(publisherArticlesFilter(publisher._id), {
+					session,
+				});
+				if (articleCount > 0 && !target) {
+					return {
+						status: 409,
+						message: `${articleCount} articles use this publisher, pass reassignTo to move them to another publisher`,
+						articleCount,
+					};
+				}
+
+				if (articleCount > 0) {
+					// Touched like a new article does, so the target can't be deleted while articles move to it
+					const touched = await publishersCollection.updateOne(
+						{ _id: target._id },
+						{ $set: { lastArticleAt: new Date() } },
+						{ session }
+					);
+					if (touched.matchedCount === 0) {
+						return { status: 400, message: 'reassignTo must be another existing publisher' };
+					}
+					await articlesCollection.updateMany(
+						publisherArticlesFilter(publisher._id),
+						{ $set: { publisher: target._id, publisherName: target.name } },
+						{ session }
+					);
+				}
+				// Follows of a deleted publisher have nothing left to follow
+				await followsCollection.deleteMany({ type: 'publisher', targetId: publisher._id.toString() }, { session });
+				await publishersCollection.deleteOne({ _id: publisher._id }, { session });
+				return { status: 200, articleCount };
+			});
+		} finally {
+			await session.endSession();
+		}
+
+		if (result.status !== 200) {
+			return res.status(result.status).json({
+				success: false,
+				message: result.message,
+				...(result.articleCount && { data: { articleCount: result.articleCount } }),
+			});
+		}
+
+		res.json({
+			success: true,
+			message: result.articleCount
+				? `Publisher deleted and ${result.articleCount} articles moved to ${target.name}`
+				: 'Publisher deleted successfully',
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error deleting publisher',
+		});
+	}
+});
+
+// NOTE: ALL API RELATED TO PAYMENT
+//? Plan duration units, in minutes and as the matching Stripe recurring interval
+const DURATION_UNITS = {
+	days: { minutes: 24 * 60, interval: 'day' },
+	weeks: { minutes: 7 * 24 * 60, interval: 'week' },
+	months: { minutes: 30 * 24 * 60, interval: 'month' },
+	years: { minutes: 365 * 24 * 60, interval: 'year' },
+};
+
+//? Stripe subscription statuses mapped to the ones we store on the user
+const SUBSCRIPTION_STATUSES = {
+	active: 'active',
+	trialing: 'active',
+	past_due: 'past_due',
+	unpaid: 'past_due',
+	incomplete: 'incomplete',
+	incomplete_expired: 'canceled',
+	canceled: 'canceled',
+	paused: 'canceled',
+};
+
+//? Whether Stripe can bill a plan, plans from before recurring billing could last minutes
+const isBillablePlan = (plan) => Boolean(DURATION_UNITS[plan.durationUnit]);
+
+//? Create the Stripe product and recurring price for a plan on first use
+const ensureStripePrice = async (plan) => {
+	if (plan.stripePriceId) {
+		return plan.stripePriceId;
+	}
+
+	const unit = DURATION_UNITS[plan.durationUnit];
+	if (!unit) {
+		throw new Error(`Unsupported duration unit: ${plan.durationUnit}`);
+	}
+
+	const productId =
+		plan.stripeProductId ||
+		(await stripe.products.create({ name: plan.name, description: plan.description || undefined })).id;
+	const price = await stripe.prices.create({
+		product: productId,
+		currency: 'usd',
+		unit_amount: Math.round(plan.price * 100), // Convert to cents
+		recurring: { interval: unit.interval, interval_count: plan.duration },
+		metadata: { planId: plan._id.toString() },
+	});
+
+	await plansCollection.updateOne(
+		{ _id: plan._id },
+		{ $set: { stripeProductId: productId, stripePriceId: price.id } }
+	);
+	return price.id;
+};
+
+//? Reuse the user's Stripe customer or create one
+const getStripeCustomerId = async (user) => {
+	if (user.stripeCustomerId) {
+		return user.stripeCustomerId;
+	}
+
+	const customer = await stripe.customers.create({
+		email: user.email,
+		name: user.name || undefined,
+		metadata: { userId: user._id.toString() },
+	});
+	await usersCollection.updateOne({ _id: user._id }, { $set: { stripeCustomerId: customer.id } });
+	return customer.id;
+};
+
+//? Copy the current state of a Stripe subscription onto its user
+const syncSubscription = async (subscriptionId) => {
+	// Always read the latest state, webhook events can arrive out of order
+	const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+	const priceId = subscription.items.data[0]?.price?.id;
+	const plan = priceId ? await plansCollection.findOne({ stripePriceId: priceId }) : null;
+
+	const status = SUBSCRIPTION_STATUSES[subscription.status] || 'canceled';
+	const currentPeriodEnd = new Date(subscription.current_period_end * 1000);
+	const hasSubscription = status === 'active' || status === 'past_due';
+	// A refund can end access before the period does by setting cancel_at
+	const cancelAt = subscription.cancel_at ? new Date(subscription.cancel_at * 1000) : null;
+	const subscriptionEnd = cancelAt && cancelAt < currentPeriodEnd ? cancelAt : currentPeriodEnd;
+
+	const previous = await usersCollection.findOneAndUpdate(
+		{ stripeCustomerId: subscription.customer },
+		{
+			$set: {
+				stripeSubscriptionId: subscription.id,
+				subscriptionStatus: status,
+				subscriptionPlanId: plan ? plan._id.toString() : subscription.metadata?.planId || null,
+				cancelAtPeriodEnd: subscription.cancel_at_period_end,
+				cancelAt,
+				hasSubscription,
+				subscriptionEnd: hasSubscription ? subscriptionEnd : null,
+				updated_at: new Date(),
+			},
+		},
+		{ returnDocument: 'before', projection: { email: 1, subscriptionStatus: 1, stripeSubscriptionId: 1 } }
+	);
+
+	// Only the subscription that was active ending counts, not an old one's late events
+	if (
+		previous?.subscriptionStatus &&
+		previous.subscriptionStatus !== 'canceled' &&
+		previous.stripeSubscriptionId === subscription.id &&
+		status === 'canceled'
+	) {
+		await notifySubscriptionExpired(previous.email);
+	}
+};
+
+//? Load the caller's Stripe subscription for the subscription management routes
+const getUserSubscription = async (req, res) => {
+	const user = await usersCollection.findOne({ email: req.decoded.email });
+	if (!user?.stripeSubscriptionId || user.subscriptionStatus === 'canceled') {
+		res.status(404).json({
+			success: false,
+			message: 'No active subscription found',
+		});
+		return null;
+	}
+	return user;
+};
+
+//? Create subscription checkout session
+app.post('/create-payment-intent', verifyUser, async (req, res) => {
+	try {
+		const { planId } = req.body;
+		// Get plan from database
+		const plan = await plansCollection.findOne({ _id: new ObjectId(planId) });
+		if (!plan) {
+			return res.status(400).json({
+				success: false,
+				message: 'Invalid plan selected',
+			});
+		}
+
+		if (plan.status === 'archived') {
+			return res.status(400).json({
+				success: false,
+				message: 'This plan is no longer available',
+			});
+		}
+
+		if (!isBillablePlan(plan)) {
+			return res.status(400).json({
+				success: false,
+				message: `This plan's billing period is not supported, choose another plan`,
+			});
+		}
+
+		const user = await usersCollection.findOne({ email: req.decoded.email });
+		if (!user) {
+			return res.status(404).json({
+				success: false,
+				message: 'User not found',
+			});
+		}
+
+		if (user.stripeSubscriptionId && ['active', 'past_due'].includes(user.subscriptionStatus)) {
+			return res.status(409).json({
+				success: false,
+				message: 'You already have a subscription, change your plan instead',
+			});
+		}
+
+		// syncSubscription would overwrite the end of a one-off pass with the subscription's period end
+		if (!user.subscriptionStatus && hasActiveSubscription(user)) {
+			return res.status(409).json({
+				success: false,
+				message: `Your pass runs until ${
+					new Date(user.subscriptionEnd).toISOString().split('T')[0]
+				}, subscribe once it ends`,
+			});
+		}
+
+		const metadata = {
+			planId: plan._id.toString(),
+			planName: plan.name,
+			email: user.email,
+		};
+
+		// Promo codes apply to the first invoice only
+		let discounts;
+		let promo;
+		if (req.body.promoCode) {
+			const evaluation = await evaluatePromoCode(req.body.promoCode, plan, user.email);
+			if (evaluation.error) {
+				return res.status(400).json({
+					success: false,
+					message: evaluation.error,
+				});
+			}
+			promo = evaluation.promo;
+			discounts = [{ coupon: await ensureStripeCoupon(promo) }];
+			metadata.promoCode = promo.code;
+			metadata.promoCodeId = promo._id.toString();
+		}
+
+		const [priceId, customerId] = await Promise.all([ensureStripePrice(plan), getStripeCustomerId(user)]);
+
+		const session = await stripe.checkout.sessions.create({
+			payment_method_types: ['card'],
+			line_items: [{ price: priceId, quantity: 1 }],
+			mode: 'subscription',
+			customer: customerId,
+			client_reference_id: user._id.toString(),
+			discounts,
+			success_url: `${process.env.CLIENT_URL}/payment/success?session_id={CHECKOUT_SESSION_ID}`,
+			cancel_url: `${process.env.CLIENT_URL}/subscription`,
+			metadata,
+			subscription_data: { metadata },
+			// The promo redemption is held until the session expires, so don't hold it for the default day
+			...(promo && { expires_at: Math.floor((Date.now() + PROMO_CHECKOUT_TTL) / 1000) }),
+		});
+
+		if (promo) {
+			const { error } = await reservePromoRedemption(promo, session.id, metadata);
+			if (error) {
+				// Another checkout took the last redemption since the code was checked
+				await stripe.checkout.sessions.expire(session.id);
+				return res.status(400).json({
+					success: false,
+					message: error,
+				});
+			}
+		}
+
+		res.json({
+			success: true,
+			sessionId: session.id,
+		});
+	} catch (error) {
+		console.error('Payment Intent Error:', error);
+		res.status(500).json({
+			success: false,
+			message: 'Error creating payment session',
+		});
+	}
+});
+
+//? Cancel subscription at the end of the current period
+app.post('/subscription/cancel', verifyUser, async (req, res) => {
+	try {
+		const user = await getUserSubscription(req, res);
+		if (!user) {
+			return;
+		}
+
+		await stripe.subscriptions.update(user.stripeSubscriptionId, { cancel_at_period_end: true });
+		await syncSubscription(user.stripeSubscriptionId);
+
+		res.json({
+			success: true,
+			message: 'Subscription will be canceled at the end of the billing period',
+		});
+	} catch (error) {
+		console.error('Cancel Subscription Error:', error);
+		res.status(500).json({
+			success: false,
+			message: 'Error canceling subscription',
+		});
+	}
+});
+
+//? Resume a subscription that is set to cancel
+app.post('/subscription/resume', verifyUser, async (req, res) => {
+	try {
+		const user = await getUserSubscription(req, res);
+		if (!user) {
+			return;
+		}
+
+		if (!user.cancelAtPeriodEnd) {
+			return res.status(400).json({
+				success: false,
+				message: 'Subscription is not scheduled to cancel',
+			});
+		}
+
+		await stripe.subscriptions.update(user.stripeSubscriptionId, { cancel_at_period_end: false });
+		await syncSubscription(user.stripeSubscriptionId);
+
+		res.json({
+			success: true,
+			message: 'Subscription resumed successfully',
+		});
+	} catch (error) {
+		console.error('Resume Subscription Error:', error);
+		res.status(500).json({
+			success: false,
+			message: 'Error resuming subscription',
+		});
+	}
+});
+
+//? Switch subscription to another plan
+app.post('/subscription/change-plan', verifyUser, async (req, res) => {
+	try {
+		const user = await getUserSubscription(req, res);
+		if (!user) {
+			return;
+		}
+
+		const plan = await plansCollection.findOne({ _id: new ObjectId(req.body.planId) });
+		if (!plan) {
+			return res.status(400).json({
+				success: false,
+				message: 'Invalid plan selected',
+			});
+		}
+
+		if (plan.status === 'archived') {
+			return res.status(400).json({
+				success: false,
+				message: 'This plan is no longer available',
+			});
+		}
+
+		if (!isBillablePlan(plan)) {
+			return res.status(400).json({
+				success: false,
+				message: `This plan's billing period is not supported, choose another plan`,
+			});
+		}
+
+		if (user.subscriptionPlanId === plan._id.toString()) {
+			return res.status(400).json({
+				success: false,
+				message: 'You are already on this plan',
+			});
+		}
+
+		const priceId = await ensureStripePrice(plan);
+		const subscription = await stripe.subscriptions.retrieve(user.stripeSubscriptionId);
+		await stripe.subscriptions.update(user.stripeSubscriptionId, {
+			items: [{ id: subscription.items.data[0].id, price: priceId }],
+			proration_behavior: 'create_prorations',
+			cancel_at_period_end: false,
+			metadata: { planId: plan._id.toString(), planName: plan.name, email: user.email },
+		});
+		await syncSubscription(user.stripeSubscriptionId);
+
+		res.json({
+			success: true,
+			message: `Subscription switched to ${plan.name}`,
+		});
+	} catch (error) {
+		console.error('Change Plan Error:', error);
+		res.status(500).json({
+			success: false,
+			message: 'Error changing plan',
+		});
+	}
+});
+
+//? Stripe customer portal session
+app.post('/billing-portal', verifyUser, async (req, res) => {
+	try {
+		const user = await usersCollection.findOne({ email: req.decoded.email });
+		if (!user?.stripeCustomerId) {
+			return res.status(404).json({
+				success: false,
+				message: 'No billing account found',
+			});
+		}
+
+		const session = await stripe.billingPortal.sessions.create({
+			customer: user.stripeCustomerId,
+			return_url: `${process.env.CLIENT_URL}/subscription`,
+		});
+
+		res.json({
+			success: true,
+			url: session.url,
+		});
+	} catch (error) {
+		console.error('Billing Portal Error:', error);
+		res.status(500).json({
+			success: false,
+			message: 'Error creating billing portal session',
+		});
+	}
+});
+
+//? Payment status (fulfillment happens in the Stripe webhook)
+app.get('/payment/success', async (req, res) => {
+	try {
+		const session = await stripe.checkout.sessions.retrieve(req.query.session_id);
+		let payment = null;
+		if (session.mode === 'subscription' && session.invoice) {
+			payment = await paymentsCollection.findOne({ invoiceId: session.invoice });
+		} else if (session.payment_intent) {
+			payment = await paymentsCollection.findOne({ paymentId: session.payment_intent });
+		}
+
+		// The webhook may not have arrived yet, the client should poll until it is fulfilled
+		let status = 'pending';
+		if (payment) {
+			status = payment.status;
+		} else if (session.payment_status !== 'paid') {
+			status = session.payment_status;
+		}
+
+		res.json({
+			success: true,
+			status,
+			fulfilled: payment?.status === 'success',
+			planName: session.metadata?.planName,
+			subscriptionEnd: payment?.periodEnd || null,
+		});
+	} catch (error) {
+		console.error('Payment Status Error:', error);
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching payment status',
+		});
+	}
+});
+
+//? Grant the plan for a paid one-off checkout session (idempotent on paymentId)
+const fulfillCheckoutSession = async (session) => {
+	if (session.payment_status !== 'paid') {
+		return;
+	}
+
+	const dbSession = client.startSession();
+	try {
+		await ensureIndex(paymentsCollection, { paymentId: 1 }, { unique: true });
+		await dbSession.withTransaction(async () => {
+			const existing = await paymentsCollection.findOne({ paymentId: session.payment_intent }, { session: dbSession });
+			if (existing && existing.status !== 'failed') {
+				return;
+			}
+
+			const email = session.customer_email || session.customer_details?.email;
+			const duration = Number.parseInt(session.metadata.duration);
+			const user = await usersCollection.findOne({ email }, { session: dbSession });
+
+			// Extend from the current end if the user is still subscribed, otherwise start now
+			const now = new Date();
+			const currentEnd = user?.subscriptionEnd ? new Date(user.subscriptionEnd) : null;
+			const periodStart = currentEnd && currentEnd > now ? currentEnd : now;
+			const periodEnd = new Date(periodStart.getTime() + duration * 60 * 1000);
+
+			await paymentsCollection.updateOne(
+				{ paymentId: session.payment_intent },
+				{
+					$set: {
+						email,
+						paymentId: session.payment_intent,
+						checkoutSessionId: session.id,
+						planId: session.metadata.planId,
+						planName: session.metadata.planName,
+						subscriptionTime: duration,
+						amount: session.amount_total,
+						periodStart,
+						periodEnd,
+						status: 'success',
+						updatedAt: now,
+					},
+					$setOnInsert: { createdAt: now },
+				},
+				{ upsert: true, session: dbSession }
+			);
+
+			await usersCollection.updateOne(
+				{ email },
+				{ $set: { hasSubscription: true, subscriptionEnd: periodEnd } },
+				{ session: dbSession }
+			);
+		});
+
+		const payment = await paymentsCollection.findOne({ paymentId: session.payment_intent });
+		await queueEmail(payment.email, 'payment_receipt', await paymentReceiptData(payment), {
+			key: `receipt:${payment.paymentId}`,
+		});
+	} catch (error) {
+		// A concurrent delivery already inserted this payment
+		if (error.code !== 11000) {
+			throw error;
+		}
+	} finally {
+		await dbSession.endSession();
+	}
+};
+
+//? Link a completed subscription checkout to the user
+const completeSubscriptionCheckout = async (session) => {
+	if (session.client_reference_id) {
+		await usersCollection.updateOne(
+			{ _id: new ObjectId(session.client_reference_id) },
+			{ $set: { stripeCustomerId: session.customer } }
+		);
+	}
+	await recordPromoRedemption(session);
+	await syncSubscription(session.subscription);
+};
+
+//? Record a paid subscription invoice as a payment (idempotent on paymentId)
+const recordInvoicePayment = async (invoice) => {
+	if (!invoice.subscription) {
+		return;
+	}
+
+	const paymentId = invoice.payment_intent || invoice.id;
+	const existing = await paymentsCollection.findOne({ paymentId });
+	if (!existing || existing.status === 'failed') {
+		const line = invoice.lines.data.find((item) => item.type === 'subscription') || invoice.lines.data[0];
+		const plan = line?.price?.id ? await plansCollection.findOne({ stripePriceId: line.price.id }) : null;
+		const periodStart = new Date(line.period.start * 1000);
+		const periodEnd = new Date(line.period.end * 1000);
+		const discount = (invoice.total_discount_amounts || []).reduce((sum, item) => sum + item.amount, 0);
+		const now = new Date();
+
+		try {
+			await ensureIndex(paymentsCollection, { paymentId: 1 }, { unique: true });
+			await paymentsCollection.updateOne(
+				{ paymentId },
+				{
+					$set: {
+						email: invoice.customer_email,
+						paymentId,
+						invoiceId: invoice.id,
+						stripeSubscriptionId: invoice.subscription,
+						planId: plan?._id.toString() || null,
+						planName: plan?.name || line.description,
+						subscriptionTime: Math.round((periodEnd - periodStart) / (60 * 1000)),
+						amount: invoice.amount_paid,
+						promoCode: discount ? invoice.discount?.coupon?.metadata?.code || null : null,
+						discount,
+						periodStart,
+						periodEnd,
+						status: 'success',
+						updatedAt: now,
+					},
+					$setOnInsert: { createdAt: now },
+				},
+				{ upsert: true }
+			);
+		} catch (error) {
+			if (error.code !== 11000) {
+				throw error;
+			}
+		}
+
+		const payment = await paymentsCollection.findOne({ paymentId });
+		await queueEmail(
+			payment.email,
+			'payment_receipt',
+			{ ...(await paymentReceiptData(payment)), receiptUrl: invoice.hosted_invoice_url || null },
+			{ key: `receipt:${paymentId}` }
+		);
+	}
+
+	await syncSubscription(invoice.subscription);
+};
+
+//? Record a failed subscription invoice, Stripe moves the subscription to past_due
+const recordInvoiceFailure = async (invoice) => {
+	if (!invoice.subscription) {
+		return;
+	}
+
+	const paymentId = invoice.payment_intent || invoice.id;
+	const existing = await paymentsCollection.findOne({ paymentId });
+	if (!existing || existing.status === 'failed') {
+		const now = new Date();
+		await paymentsCollection.updateOne(
+			{ paymentId },
+			{
+				$set: {
+					email: invoice.customer_email,
+					paymentId,
+					invoiceId: invoice.id,
+					stripeSubscriptionId: invoice.subscription,
+					amount: invoice.amount_due,
+					failureMessage: invoice.last_finalization_error?.message || null,
+					status: 'failed',
+					updatedAt: now,
+				},
+				$setOnInsert: { createdAt: now },
+			},
+			{ upsert: true }
+		);
+	}
+
+	await syncSubscription(invoice.subscription);
+};
+
+//? Record a failed one-off payment attempt without touching the subscription
+const recordFailedPayment = async (paymentIntent) => {
+	// Invoice payments are recorded by invoice.payment_failed
+	if (paymentIntent.invoice) {
+		return;
+	}
+
+	const existing = await paymentsCollection.findOne({ paymentId: paymentIntent.id });
+	if (existing && existing.status !== 'failed') {
+		return;
+	}
+
+	const now = new Date();
+	await paymentsCollection.updateOne(
+		{ paymentId: paymentIntent.id },
+		{
+			$set: {
+				email: paymentIntent.metadata?.email || paymentIntent.receipt_email,
+				paymentId: paymentIntent.id,
+				planId: paymentIntent.metadata?.planId,
+				planName: paymentIntent.metadata?.planName,
+				amount: paymentIntent.amount,
+				failureMessage: paymentIntent.last_payment_error?.message || null,
+				status: 'failed',
+				updatedAt: now,
+			},
+			$setOnInsert: { createdAt: now },
+		},
+		{ upsert: true }
+	);
+};
+
+//? Mark a payment (partially) refunded and take back the time the refunded amount paid for
+const applyRefund = async (payment, amountRefunded) => {
+	const now = new Date();
+	const fullyRefunded = amountRefunded >= payment.amount;
+	const refundedTime = fullyRefunded
+		? payment.subscriptionTime
+		: Math.round((payment.subscriptionTime * amountRefunded) / payment.amount);
+
+	// Only the first caller with a given refunded total applies it (admin route and webhook both land here).
+	// The time already taken off is read in the same update, so concurrent refunds never both take it
+	const previous = await paymentsCollection.findOneAndUpdate(
+		{
+			_id: payment._id,
+			$or: [{ amountRefunded: { $exists: false } }, { amountRefunded: { $lt: amountRefunded } }],
+		},
+		{
+			$set: {
+				status: fullyRefunded ? 'refunded' : 'partially_refunded',
+				amountRefunded,
+				refundedTime,
+				refundedAt: now,
+				updatedAt: now,
+			},
+		},
+		{ returnDocument: 'before', projection: { refundedTime: 1 } }
+	);
+	if (!previous) {
+		return;
+	}
+
+	const timeToRemove = refundedTime - (previous.refundedTime || 0);
+	if (timeToRemove <= 0) {
+		return;
+	}
+
+	if (payment.stripeSubscriptionId) {
+		// Refunding a period that is already over doesn't change access
+		const periodEnd = new Date(payment.periodEnd);
+		if (periodEnd <= now) {
+			return;
+		}
+
+		const subscription = await stripe.subscriptions.retrieve(payment.stripeSubscriptionId);
+		if (subscription.status !== 'canceled') {
+			const cancelAt = subscription.cancel_at ? new Date(subscription.cancel_at * 1000) : null;
+			const currentEnd = cancelAt && cancelAt < periodEnd ? cancelAt : periodEnd;
+			const accessEnd = new Date(currentEnd.getTime() - timeToRemove * 60 * 1000);
+
+			if (fullyRefunded || accessEnd <= now) {
+				await stripe.subscriptions.cancel(payment.stripeSubscriptionId);
+			} else {
+				await stripe.subscriptions.update(payment.stripeSubscriptionId, {
+					cancel_at: Math.floor(accessEnd.getTime() / 1000),
+					proration_behavior: 'none',
+				});
+			}
+		}
+		await syncSubscription(payment.stripeSubscriptionId);
+		return;
+	}
+
+	const user = await usersCollection.findOne({ email: payment.email });
+	if (!user?.subscriptionEnd || new Date(user.subscriptionEnd) <= now) {
+		return;
+	}
+
+	const subscriptionEnd = new Date(new Date(user.subscriptionEnd).getTime() - timeToRemove * 60 * 1000);
+	if (subscriptionEnd > now) {
+		await usersCollection.updateOne({ _id: user._id }, { $set: { subscriptionEnd } });
+	} else {
+		await usersCollection.updateOne({ _id: user._id }, { $set: { hasSubscription: false, subscriptionEnd: null } });
+	}
+};
+
+//? Apply a refund made in Stripe (or by the admin refund route) to its payment
+const applyChargeRefund = async (charge) => {
+	const payment = await paymentsCollection.findOne({ paymentId: charge.payment_intent });
+	if (!payment) {
+		return;
+	}
+	await applyRefund(payment, charge.amount_refunded);
+};
+
+//? Stripe webhook
+app.post('/webhooks/stripe', async (req, res) => {
+	let event;
+	try {
+		event = stripe.webhooks.constructEvent(
+			req.rawBody,
+			req.headers['stripe-signature'],
+			process.env.STRIPE_WEBHOOK_SECRET
+		);
+	} catch (error) {
+		return res.status(400).json({
+			success: false,
+			message: 'Invalid Stripe signature',
+		});
+	}
+
+	try {
+		// Stripe delivers at least once, so skip events we have already handled
+		await stripeEventsCollection.insertOne({ _id: event.id, type: event.type, receivedAt: new Date() });
+	} catch (error) {
+		if (error.code === 11000) {
+			return res.json({ received: true, duplicate: true });
+		}
+		console.error('Stripe Webhook Error:', error);
+		return res.status(500).json({ success: false, message: 'Error processing webhook' });
+	}
+
+	try {
+		switch (event.type) {
+			case 'checkout.session.completed':
+				if (event.data.object.mode === 'subscription') {
+					await completeSubscriptionCheckout(event.data.object);
+				} else {
+					await fulfillCheckoutSession(event.data.object);
+				}
+				break;
+			case 'checkout.session.expired':
+				await releasePromoRedemption(event.data.object);
+				break;
+			case 'customer.subscription.created':
+			case 'customer.subscription.updated':
+			case 'customer.subscription.deleted':
+				await syncSubscription(event.data.object.id);
+				break;
+			case 'invoice.paid':
+				await recordInvoicePayment(event.data.object);
+				break;
+			case 'invoice.payment_failed':
+				await recordInvoiceFailure(event.data.object);
+				break;
+			case 'payment_intent.payment_failed':
+				await recordFailedPayment(event.data.object);
+				break;
+			case 'charge.refunded':
+				await applyChargeRefund(event.data.object);
+				break;
+			default:
+				break;
+		}
+
+		res.json({ received: true });
+	} catch (error) {
+		console.error('Stripe Webhook Error:', error);
+		// Forget the event so Stripe's retry gets processed again
+		await stripeEventsCollection.deleteOne({ _id: event.id });
+		res.status(500).json({
+			success: false,
+			message: 'Error processing webhook',
+		});
+	}
+});
+
+//? Get my payments
+app.get('/payments/me', verifyUser, async (req, res) => {
+	try {
+		const page = parseInt(req.query.page) || 1;
+		const limit = parseInt(req.query.limit) || 10;
+		const skip = (page - 1) * limit;
+		const query = { email: req.decoded.email };
+
+		const [payments, total] = await Promise.all([
+			paymentsCollection
+				.find(query)
+				.project({
+					planId: 1,
+					planName: 1,
+					amount: 1,
+					amountRefunded: 1,
+					promoCode: 1,
+					discount: 1,
+					periodStart: 1,
+					periodEnd: 1,
+					status: 1,
+					createdAt: 1,
+				})
+				.sort({ createdAt: -1 })
+				.skip(skip)
+				.limit(limit)
+				.toArray(),
+			paymentsCollection.countDocuments(query),
+		]);
+
+		res.json({
+			success: true,
+			data: payments,
+			total,
+			page,
+			limit,
+			totalPages: Math.ceil(total / limit),
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching payments',
+		});
+	}
+});
+
+//? Get payment receipt
+app.get('/payments/:id/receipt', verifyUser, async (req, res) => {
+	try {
+		const payment = await paymentsCollection.findOne({ _id: new ObjectId(req.params.id) });
+		if (!payment) {
+			return res.status(404).json({
+				success: false,
+				message: 'Payment not found',
+			});
+		}
+
+		if (payment.email !== req.decoded.email) {
+			const user = await usersCollection.findOne({ email: req.decoded.email });
+			if (!hasPermission(user, 'payments:manage')) {
+				return res.status(403).json({
+					success: false,
+					message: 'Unauthorized access',
+				});
+			}
+		}
+
+		if (payment.status === 'failed') {
+			return res.status(400).json({
+				success: false,
+				message: 'Failed payments have no receipt',
+			});
+		}
+
+		let receiptUrl = null;
+		let invoicePdf = null;
+		if (payment.invoiceId) {
+			const invoice = await stripe.invoices.retrieve(payment.invoiceId);
+			receiptUrl = invoice.hosted_invoice_url;
+			invoicePdf = invoice.invoice_pdf;
+		} else {
+			const paymentIntent = await stripe.paymentIntents.retrieve(payment.paymentId, { expand: ['latest_charge'] });
+			receiptUrl = paymentIntent.latest_charge?.receipt_url || null;
+		}
+
+		res.json({
+			success: true,
+			data: {
+				_id: payment._id,
+				planName: payment.planName,
+				amount: payment.amount,
+				amountRefunded: payment.amountRefunded || 0,
+				promoCode: payment.promoCode || null,
+				discount: payment.discount || 0,
+				periodStart: payment.periodStart,
+				periodEnd: payment.periodEnd,
+				status: payment.status,
+				createdAt: payment.createdAt,
+				receiptUrl,
+				invoicePdf,
+			},
+		});
+	} catch (error) {
+		console.error('Payment Receipt Error:', error);
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching receipt',
+		});
+	}
+});
+
+//? Get all payments (Admin)
+app.get('/admin/payments', verifyUser, requirePermission('payments:manage'), async (req, res) => {
+	try {
+		const page = parseInt(req.query.page) || 1;
+		const limit = parseInt(req.query.limit) || 10;
+		const skip = (page - 1) * limit;
+		const { email, planId, status, from, to } = req.query;
+
+		const query = {};
+		if (email) {
+			query.email = { $regex: escapeRegex(email), $options: 'i' };
+		}
+		if (planId) {
+			query.planId = planId;
+		}
+		if (status) {
+			query.status = { $in: status.split(',') };
+		}
+		if (from || to) {
+			query.createdAt = {};
+			if (from) {
+				query.createdAt.$gte = new Date(from);
+			}
+			if (to) {
+				query.createdAt.$lte = new Date(to);
+			}
+		}
+
+		const [payments, total] = await Promise.all([
+			paymentsCollection.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+			paymentsCollection.countDocuments(query),
+		]);
+
+		res.json({
+			success: true,
+			data: payments,
+			total,
+			page,
+			limit,
+			totalPages: Math.ceil(total / limit),
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching payments',
+		});
+	}
+});
+
+//? Refund payment (Admin)
+app.post('/admin/payments/:id/refund', verifyUser, requirePermission('payments:manage'), async (req, res) => {
+	try {
+		const payment = await paymentsCollection.findOne({ _id: new ObjectId(req.params.id) });
+		if (!payment) {
+			return res.status(404).json({
+				success: false,
+				message: 'Payment not found',
+			});
+		}
+
+		if (!['success', 'partially_refunded'].includes(payment.status) || !payment.paymentId.startsWith('pi_')) {
+			return res.status(400).json({
+				success: false,
+				message: 'This payment cannot be refunded',
+			});
+		}
+
+		// Amount is in cents, omitted means refund whatever is left
+		const refundable = payment.amount - (payment.amountRefunded || 0);
+		const amount = req.body.amount === undefined ? refundable : Number(req.body.amount);
+		if (!Number.isInteger(amount) || amount <= 0 || amount > refundable) {
+			return res.status(400).json({
+				success: false,
+				message: `Refund amount must be between 1 and ${refundable} cents`,
+			});
+		}
+
+		const refund = await stripe.refunds.create({
+			payment_intent: payment.paymentId,
+			amount,
+			reason: 'requested_by_customer',
+			metadata: { paymentId: payment._id.toString(), refundedBy: req.decoded.email },
+		});
+
+		await applyRefund(payment, (payment.amountRefunded || 0) + refund.amount);
+
+		res.json({
+			success: true,
+			message: amount === refundable ? 'Payment refunded successfully' : 'Payment partially refunded',
+		});
+	} catch (error) {
+		console.error('Refund Error:', error);
+		res.status(500).json({
+			success: false,
+			message: 'Error refunding payment',
+		});
+	}
+});
+
+// NOTE: ALL API RELATED TO PLANS
+//? Validate plan fields, `partial` allows omitting fields on update
+const validatePlan = (body, partial = false) => {
+	const plan = {};
+	const has = (field) => body[field] !== undefined;
+
+	if (has('name') || !partial) {
+		if (typeof body.name !== 'string' || !body.name.trim()) {
+			return { error: 'Name is required' };
+		}
+		plan.name = body.name.trim();
+	}
+
+	if (has('description')) {
+		if (typeof body.description !== 'string') {
+			return { error: 'Description must be a string' };
+		}
+		plan.description = body.description.trim();
+	}
+
+	if (has('price') || !partial) {
+		const price = Number(body.price);
+		if (!Number.isFinite(price) || price <= 0) {
+			return { error: 'Price must be a positive number' };
+		}
+		plan.price = Math.round(price * 100) / 100;
+	}
+
+	if (has('duration') || !partial) {
+		const duration = Number(body.duration);
+		if (!Number.isInteger(duration) || duration <= 0) {
+			return { error: 'Duration must be a positive whole number' };
+		}
+		plan.duration = duration;
+	}
+
+	if (has('durationUnit') || !partial) {
+		if (!DURATION_UNITS[body.durationUnit]) {
+			return { error: `Duration unit must be one of: ${Object.keys(DURATION_UNITS).join(', ')}` };
+		}
+		plan.durationUnit = body.durationUnit;
+	}
+
+	if (has('status')) {
+		if (!['active', 'archived'].includes(body.status)) {
+			return { error: 'Status must be active or archived' };
+		}
+		plan.status = body.status;
+	}
+
+	if (has('displayOrder')) {
+		const displayOrder = Number(body.displayOrder);
+		if (!Number.isInteger(displayOrder)) {
+			return { error: 'Display order must be a whole number' };
+		}
+		plan.displayOrder = displayOrder;
+	}
+
+	return { plan };
+};
+
+//? Get plans
+app.get('/plans', async (req, res) => {
+	try {
+		const plans = await plansCollection
+			.find({ status: { $ne: 'archived' } })
+			.sort({ displayOrder: 1, price: 1 })
+			.toArray();
+		res.json({ success: true, data: plans });
+	} catch (error) {
+		res.status(500).json({ success: false, message: 'Error fetching plans' });
+	}
+});
+
+//? Get all plans including archived (Admin)
+app.get('/admin/plans', verifyUser, requirePermission('plans:manage'), async (req, res) => {
+	try {
+		const plans = await plansCollection.find().sort({ status: 1, displayOrder: 1, price: 1 }).toArray();
+		res.json({ success: true, data: plans });
+	} catch (error) {
+		res.status(500).json({ success: false, message: 'Error fetching plans' });
+	}
+});
+
+//? Add plan
+app.post('/plans', verifyUser, requirePermission('plans:manage'), async (req, res) => {
+	try {
+		const { plan, error } = validatePlan(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error,
+			});
+		}
+
+		// New plans go to the end of the list unless an order is given
+		if (plan.displayOrder === undefined) {
+			const [last] = await plansCollection.find().sort({ displayOrder: -1 }).limit(1).toArray();
+			plan.displayOrder = (last?.displayOrder || 0) + 1;
+		}
+
+		const result = await plansCollection.insertOne({
+			description: '',
+			status: 'active',
+			...plan,
+			createdAt: new Date(),
+			updatedAt: new Date(),
+		});
+
+		res.status(201).json({
+			success: true,
+			message: 'Plan added successfully',
+			data: result,
+		});
+	} catch (error) {
+		console.error('Add Plan Error:', error);
+		res.status(500).json({
+			success: false,
+			message: 'Error adding plan',
+		});
+	}
+});
+
+//? Update plan
+app.patch('/plans/:id', verifyUser, requirePermission('plans:manage'), async (req, res) => {
+	try {
+		const { plan: updates, error } = validatePlan(req.body, true);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error,
+			});
+		}
+
+		const plan = await plansCollection.findOne({ _id: new ObjectId(req.params.id) });
+		if (!plan) {
+			return res.status(404).json({
+				success: false,
+				message: 'Plan not found',
+			});
+		}
+
+		const unset = {};
+		// Stripe prices are immutable, a new one is created on the next checkout
+		const billingChanged = ['price', 'duration', 'durationUnit'].some(
+			(field) => updates[field] !== undefined && updates[field] !== plan[field]
+		);
+		if (billingChanged && plan.stripePriceId) {
+			await stripe.prices.update(plan.stripePriceId, { active: false });
+			unset.stripePriceId = '';
+		}
+
+		if (plan.stripeProductId && (updates.name !== undefined || updates.description !== undefined)) {
+			await stripe.products.update(plan.stripeProductId, {
+				name: updates.name ?? plan.name,
+				description: (updates.description ?? plan.description) || '',
+			});
+		}
+
+		const update = { $set: { ...updates, updatedAt: new Date() } };
+		if (Object.keys(unset).length) {
+			update.$unset = unset;
+		}
+		await plansCollection.updateOne({ _id: plan._id }, update);
+
+		res.json({
+			success: true,
+			message: 'Plan updated successfully',
+		});
+	} catch (error) {
+		console.error('Update Plan Error:', error);
+		res.status(500).json({
+			success: false,
+			message: 'Error updating plan',
+		});
+	}
+});
+
+//? Delete plan (archived instead if payments or subscribers reference it)
+app.delete('/plans/:id', verifyUser, requirePermission('plans:manage'), async (req, res) => {
+	try {
+		const plan = await plansCollection.findOne({ _id: new ObjectId(req.params.id) });
+		if (!plan) {
+			return res.status(404).json({
+				success: false,
+				message: 'Plan not found',
+			});
+		}
+
+		const planId = plan._id.toString();
+		const [payments, subscribers] = await Promise.all([
+			paymentsCollection.countDocuments({ planId }),
+			usersCollection.countDocuments({ subscriptionPlanId: planId }),
+		]);
+
+		if (plan.stripePriceId) {
+			await stripe.prices.update(plan.stripePriceId, { active: false });
+		}
+
+		if (payments > 0 || subscribers > 0) {
+			await plansCollection.updateOne({ _id: plan._id }, { $set: { status: 'archived', updatedAt: new Date() } });
+			return res.json({
+				success: true,
+				archived: true,
+				message: 'Plan is referenced by payments, it has been archived instead',
+			});
+		}
+
+		await plansCollection.deleteOne({ _id: plan._id });
+		res.json({
+			success: true,
+			archived: false,
+			message: 'Plan deleted successfully',
+		});
+	} catch (error) {
+		console.error('Delete Plan Error:', error);
+		res.status(500).json({
+			success: false,
+			message: 'Error deleting plan',
+		});
+	}
+});
+
+// NOTE: ALL API RELATED TO PROMO CODES
+//? Validate promo code fields, `partial` allows omitting fields on update
+const validatePromoCode = (body, partial = false) => {
+	const promo = {};
+	const has = (field) => body[field] !== undefined;
+
+	if (has('code') || !partial) {
+		if (typeof body.code !== 'string' || !/^[A-Z0-9_-]{3,32}$/i.test(body.code.trim())) {
+			return { error: 'Code must be 3 to 32 letters, digits, dashes or underscores' };
+		}
+		promo.code = body.code.trim().toUpperCase();
+	}
+
+	if (has('discountType') || !partial) {
+		if (!['percent', 'fixed'].includes(body.discountType)) {
+			return { error: 'Discount type must be percent or fixed' };
+		}
+		promo.discountType = body.discountType;
+	}
+
+	if (has('discountValue') || !partial) {
+		const discountValue = Number(body.discountValue);
+		if (!Number.isFinite(discountValue) || discountValue <= 0) {
+			return { error: 'Discount value must be a positive number' };
+		}
+		if ((promo.discountType || body.discountType) === 'percent' && discountValue > 100) {
+			return { error: 'Percent discount cannot be more than 100' };
+		}
+		promo.discountValue = Math.round(discountValue * 100) / 100;
+	}
+
+	if (has('expiresAt')) {
+		const expiresAt = body.expiresAt === null ? null : new Date(body.expiresAt);
+		if (expiresAt && Number.isNaN(expiresAt.getTime())) {
+			return { error: 'Expiry date is invalid' };
+		}
+		promo.expiresAt = expiresAt;
+	}
+
+	for (const field of ['maxRedemptions', 'perUserLimit']) {
+		if (has(field)) {
+			const value = body[field] === null ? null : Number(body[field]);
+			if (value !== null && (!Number.isInteger(value) || value <= 0)) {
+				return { error: `${field} must be a positive whole number` };
+			}
+			promo[field] = value;
+		}
+	}
+
+	if (has('planIds')) {
+		if (!Array.isArray(body.planIds) || !body.planIds.every((id) => ObjectId.isValid(id))) {
+			return { error: 'planIds must be a list of plan ids' };
+		}
+		promo.planIds = body.planIds.map(String);
+	}
+
+	if (has('active')) {
+		promo.active = Boolean(body.active);
+	}
+
+	return { promo };
+};
+
+//? Work out the discount a code gives on a plan for a user
+const evaluatePromoCode = async (code, plan, email) => {
+	const promo = await promoCodesCollection.findOne({ code: String(code).trim().toUpperCase() });
+	if (!promo || !promo.active) {
+		return { error: 'Invalid promo code' };
+	}
+
+	if (promo.expiresAt && new Date(promo.expiresAt) < new Date()) {
+		return { error: 'This promo code has expired' };
+	}
+
+	if (promo.planIds?.length && !promo.planIds.includes(plan._id.toString())) {
+		return { error: 'This promo code does not apply to the selected plan' };
+	}
+
+	if (promo.maxRedemptions && (promo.redemptionCount || 0) >= promo.maxRedemptions) {
+		return { error: 'This promo code has been fully redeemed' };
+	}
+
+	if (promo.perUserLimit) {
+		const used = await promoRedemptionsCollection.countDocuments({ promoCodeId: promo._id, email });
+		if (used >= promo.perUserLimit) {
+			return { error: 'You have already used this promo code' };
+		}
+	}
+
+	const discount =
+		promo.discountType === 'percent'
+			? Math.round(plan.price * promo.discountValue) / 100
+			: Math.min(promo.discountValue, plan.price);
+
+	return {
+		promo,
+		discount,
+		finalPrice: Math.round((plan.price - discount) * 100) / 100,
+	};
+};
+
+//? Create the Stripe coupon for a promo code on first use
+const ensureStripeCoupon = async (promo) => {
+	if (promo.stripeCouponId) {
+		return promo.stripeCouponId;
+	}
+
+	const coupon = await stripe.coupons.create({
+		name: promo.code,
+		duration: 'once',
+		...(promo.discountType === 'percent'
+			? { percent_off: promo.discountValue }
+			: { amount_off: Math.round(promo.discountValue * 100), currency: 'usd' }),
+		metadata: { promoCodeId: promo._id.toString(), code: promo.code },
+	});
+
+	await promoCodesCollection.updateOne({ _id: promo._id }, { $set: { stripeCouponId: coupon.id } });
+	return coupon.id;
+};
+
+//? How long a checkout can hold a promo code redemption (Stripe's minimum session lifetime is 30 minutes)
+const PROMO_CHECKOUT_TTL = 60 * 60 * 1000;
+
+//? Hold a redemption for a checkout session. The limits are checked again in a transaction that bumps the
+//? code's count, so concurrent checkouts conflict on the code instead of both taking the last redemption
+const reservePromoRedemption = async (promo, sessionId, { email, planId }) => {
+	await ensureIndex(promoRedemptionsCollection, { checkoutSessionId: 1 }, { unique: true });
+
+	const dbSession = client.startSession();
+	try {
+		return await dbSession.withTransaction(async () => {
+			if (promo.perUserLimit) {
+				const used = await promoRedemptionsCollection.countDocuments(
+					{ promoCodeId: promo._id, email },
+					{ session: dbSession }
+				);
+				if (used >= promo.perUserLimit) {
+					return { error: 'You have already used this promo code' };
+				}
+			}
+
+			const reserved = await promoCodesCollection.updateOne(
+				{
+					_id: promo._id,
+					active: true,
+					$or: [
+						{ maxRedemptions: null },
+						{ $expr: { $lt: [{ $ifNull: ['$redemptionCount', 0] }, '$maxRedemptions'] } },
+					],
+				},
+				{ $inc: { redemptionCount: 1 } },
+				{ session: dbSession }
+			);
+			if (reserved.modifiedCount === 0) {
+				return { error: 'This promo code has been fully redeemed' };
+			}
+
+			await promoRedemptionsCollection.insertOne(
+				{
+					promoCodeId: promo._id,
+					code: promo.code,
+					email,
+					planId,
+					checkoutSessionId: sessionId,
+					status: 'reserved',
+					createdAt: new Date(),
+				},
+				{ session: dbSession }
+			);
+			return {};
+		});
+	} finally {
+		await dbSession.endSession();
+	}
+};
+
+//? Count a promo code as used once its checkout completes (idempotent on the session).
+//? Checkouts started before redemptions were reserved have nothing to confirm, they are counted here
+const recordPromoRedemption = async (session) => {
+	if (!session.metadata?.promoCodeId) {
+		return;
+	}
+
+	try {
+		await ensureIndex(promoRedemptionsCollection, { checkoutSessionId: 1 }, { unique: true });
+		const now = new Date();
+		const result = await promoRedemptionsCollection.updateOne(
+			{ checkoutSessionId: session.id },
+			{
+				$set: { status: 'redeemed', discount: session.total_details?.amount_discount || 0, redeemedAt: now },
+				$setOnInsert: {
+					promoCodeId: new ObjectId(session.metadata.promoCodeId),
+					code: session.metadata.promoCode,
+					email: session.metadata.email,
+					planId: session.metadata.planId,
+					createdAt: now,
+				},
+			},
+			{ upsert: true }
+		);
+		if (result.upsertedCount) {
+			await promoCodesCollection.updateOne(
+				{ _id: new ObjectId(session.metadata.promoCodeId) },
+				{ $inc: { redemptionCount: 1 } }
+			);
+		}
+	} catch (error) {
+		if (error.code !== 11000) {
+			throw error;
+		}
+	}
+};
+
+//? Give back the redemption an abandoned checkout was holding
+const releasePromoRedemption = async (session) => {
+	if (!session.metadata?.promoCodeId) {
+		return;
+	}
+
+	const released = await promoRedemptionsCollection.findOneAndDelete({
+		checkoutSessionId: session.id,
+		status: 'reserved',
+	});
+	if (released) {
+		await promoCodesCollection.updateOne({ _id: released.promoCodeId }, { $inc: { redemptionCount: -1 } });
+	}
+};
+
+//? Preview plan price with a promo code
+app.post('/plans/:id/quote', verifyUser, async (req, res) => {
+	try {
+		const plan = await plansCollection.findOne({ _id: new ObjectId(req.params.id) });
+		if (!plan || plan.status === 'archived') {
+			return res.status(404).json({
+				success: false,
+				message: 'Plan not found',
+			});
+		}
+
+		if (!req.body.code) {
+			return res.json({
+				success: true,
+				data: { price: plan.price, discount: 0, finalPrice: plan.price, code: null },
+			});
+		}
+
+		const { promo, discount, finalPrice, error } = await evaluatePromoCode(req.body.code, plan, req.decoded.email);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error,
+			});
+		}
+
+		res.json({
+			success: true,
+			data: {
+				price: plan.price,
+				discount,
+				finalPrice,
+				code: promo.code,
+				discountType: promo.discountType,
+				discountValue: promo.discountValue,
+			},
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error calculating quote',
+		});
+	}
+});
+
+//? Get promo codes (Admin)
+app.get('/admin/promo-codes', verifyUser, requirePermission('payments:manage'), async (req, res) => {
+	try {
+		const promoCodes = await promoCodesCollection.find().sort({ createdAt: -1 }).toArray();
+		res.json({ success: true, data: promoCodes });
+	} catch (error) {
+		res.status(500).json({ success: false, message: 'Error fetching promo codes' });
+	}
+});
+
+//? Add promo code (Admin)
+app.post('/admin/promo-codes', verifyUser, requirePermission('payments:manage'), async (req, res) => {
+	try {
+		const { promo, error } = validatePromoCode(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error,
+			});
+		}
+
+		await ensureIndex(promoCodesCollection, { code: 1 }, { unique: true });
+		const result = await promoCodesCollection.insertOne({
+			expiresAt: null,
+			maxRedemptions: null,
+			perUserLimit: null,
+			planIds: [],
+			active: true,
+			...promo,
+			redemptionCount: 0,
+			createdAt: new Date(),
+			updatedAt: new Date(),
+		});
+
+		res.status(201).json({
+			success: true,
+			message: 'Promo code added successfully',
+			data: result,
+		});
+	} catch (error) {
+		if (error.code === 11000) {
+			return res.status(409).json({ success: false, message: 'Promo code already exists' });
+		}
+		console.error('Add Promo Code Error:', error);
+		res.status(500).json({
+			success: false,
+			message: 'Error adding promo code',
+		});
+	}
+});
+
+//? Update promo code (Admin)
+app.patch('/admin/promo-codes/:id', verifyUser, requirePermission('payments:manage'), async (req, res) => {
+	try {
+		const { promo: updates, error } = validatePromoCode(req.body, true);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error,
+			});
+		}
+
+		const promo = await promoCodesCollection.findOne({ _id: new ObjectId(req.params.id) });
+		if (!promo) {
+			return res.status(404).json({
+				success: false,
+				message: 'Promo code not found',
+			});
+		}
+
+		// Switching a fixed code to percent keeps its old value unless a new one is given
+		const discountValue = updates.discountValue ?? promo.discountValue;
+		if ((updates.discountType || promo.discountType) === 'percent' && !(discountValue > 0 && discountValue <= 100)) {
+			return res.status(400).json({
+				success: false,
+				message: 'Percent discount must be more than 0 and at most 100',
+			});
+		}
+
+		// Stripe coupons can't change their discount, a new one is created on the next checkout
+		const update = { $set: { ...updates, updatedAt: new Date() } };
+		const discountChanged = ['code', 'discountType', 'discountValue'].some(
+			(field) => updates[field] !== undefined && updates[field] !== promo[field]
+		);
+		if (discountChanged && promo.stripeCouponId) {
+			await stripe.coupons.del(promo.stripeCouponId);
+			update.$unset = { stripeCouponId: '' };
+		}
+
+		await promoCodesCollection.updateOne({ _id: promo._id }, update);
+
+		res.json({
+			success: true,
+			message: 'Promo code updated successfully',
+		});
+	} catch (error) {
+		if (error.code === 11000) {
+			return res.status(409).json({ success: false, message: 'Promo code already exists' });
+		}
+		console.error('Update Promo Code Error:', error);
+		res.status(500).json({
+			success: false,
+			message: 'Error updating promo code',
+		});
+	}
+});
+
+//? Delete promo code (Admin)
+app.delete('/admin/promo-codes/:id', verifyUser, requirePermission('payments:manage'), async (req, res) => {
+	try {
+		const promo = await promoCodesCollection.findOneAndDelete({ _id: new ObjectId(req.params.id) });
+		if (!promo) {
+			return res.status(404).json({
+				success: false,
+				message: 'Promo code not found',
+			});
+		}
+
+		if (promo.stripeCouponId) {
+			await stripe.coupons.del(promo.stripeCouponId);
+		}
+
+		res.json({
+			success: true,
+			message: 'Promo code deleted successfully',
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error deleting promo code',
+		});
+	}
+});
+
+// NOTE: All API RELATED TO INTERACTING WITH ARTICLES
+
+//? How long a viewer's repeat visits to an article count as the same view
+const VIEW_DEDUPE_WINDOW = (parseInt(process.env.VIEW_DEDUPE_WINDOW_MINUTES) || 30) * 60 * 1000;
+
+//? Crawlers, link previews and scripted clients that should not count as readers
+const BOT_USER_AGENT =
+	/bot|crawl|spider|slurp|archiver|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|monitor|curl|wget|python|axios|node-fetch|go-http-client|java\//i;
+
+//? Who is viewing: the logged in user, else the visitor id the client keeps for anonymous readers,
+//? else a hash of the address and user agent so clients without a visitor id are still counted
+const getViewerKey = async (req) => {
+	const decoded = await decodeOptionalToken(req);
+	if (decoded) {
+		return `user:${decoded.sub}`;
+	}
+	const visitorId = req.headers['x-visitor-id'] || req.body?.visitorId;
+	if (typeof visitorId === 'string' && /^[\w-]{8,64}$/.test(visitorId)) {
+		return `visitor:${visitorId}`;
+	}
+	// Vercel sets x-forwarded-for to the client address
+	const address = req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket.remoteAddress;
+	return `anon:${hashToken(`${address}|${req.headers['user-agent']}`)}`;
+};
+
+//? Count a view once per viewer and window. Returns whether it counted and whether it was the viewer's first
+const recordArticleView = async (articleId, viewerKey) => {
+	const now = new Date();
+	await ensureIndex(articleViewersCollection, { articleId: 1, viewerKey: 1 }, { unique: true });
+
+	try {
+		const inserted = await articleViewersCollection.updateOne(
+			{ articleId, viewerKey },
+			{ $setOnInsert: { firstViewedAt: now, lastCountedAt: now } },
+			{ upsert: true }
+		);
+		if (inserted.upsertedCount) {
+			return { counted: true, unique: true };
+		}
+	} catch (error) {
+		// Two first views racing, the other request counted it
+		if (error.code === 11000) {
+			return { counted: false, unique: false };
+		}
+		throw error;
+	}
+
+	const repeated = await articleViewersCollection.updateOne(
+		{ articleId, viewerKey, lastCountedAt: { $lte: new Date(now.getTime() - VIEW_DEDUPE_WINDOW) } },
+		{ $set: { lastCountedAt: now } }
+	);
+	return { counted: repeated.modifiedCount > 0, unique: false };
+};
+
+//? Increase View on visit, deduplicated per viewer and counted in hourly buckets for trending
+app.post('/articles/:id/view', async (req, res) => {
+	try {
+		if (!ObjectId.isValid(req.params.id)) {
+			return res.status(404).json({
+				success: false,
+				message: 'Article not found',
+			});
+		}
+
+		const userAgent = req.headers['user-agent'];
+		if (!userAgent || BOT_USER_AGENT.test(userAgent)) {
+			return res.json({
+				success: true,
+				message: 'View ignored',
+				data: { counted: false, unique: false },
+			});
+		}
+
+		const viewerKey = await getViewerKey(req);
+
+		const article = await articlesCollection.findOne(
+			{ _id: new ObjectId(req.params.id), status: 'approved', publishAt: { $not: { $gt: new Date() } } },
+			{ projection: { _id: 1 } }
+		);
+		if (!article) {
+			return res.status(404).json({
+				success: false,
+				message: 'Article not found',
+			});
+		}
+
+		const articleId = article._id;
+		const { counted, unique } = await recordArticleView(articleId, viewerKey);
+
+		if (counted) {
+			const bucket = new Date();
+			bucket.setUTCMinutes(0, 0, 0);
+			const inc = { views: 1, ...(unique && { uniqueViews: 1 }) };
+
+			const day = new Date(bucket);
+			day.setUTCHours(0, 0, 0, 0);
+
+			await Promise.all([
+				ensureIndex(articleViewsCollection, { articleId: 1, bucket: 1 }, { unique: true }),
+				ensureIndex(articleViewsCollection, { bucket: 1 }),
+				ensureIndex(articleReadersCollection, { articleId: 1, day: 1, viewerKey: 1 }, { unique: true }),
+			]);
+			// Readers are the distinct viewers of an article per day, for author analytics
+			await Promise.all([
+				articlesCollection.updateOne({ _id: articleId }, { $inc: inc }),
+				articleViewsCollection.updateOne({ articleId, bucket }, { $inc: inc }, { upsert: true }),
+				articleReadersCollection
+					.updateOne({ articleId, day, viewerKey }, { $setOnInsert: { firstViewedAt: new Date() } }, { upsert: true })
+					.catch((error) => {
+						if (error.code !== 11000) {
+							throw error;
+						}
+					}),
+			]);
+		}
+
+		res.json({
+			success: true,
+			message: counted ? 'View count updated' : 'View already counted',
+			data: { counted, unique },
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error updating view count',
+		});
+	}
+});
+
+//? Stars a rating can have, and an empty count per star
+const parseRating = (value) => {
+	const rating = Number(value);
+	return Number.isInteger(rating) && rating >= 1 && rating <= 5 ? rating : null;
+};
+const emptyRatingDistribution = () => ({ 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 });
+
+//? Recompute the average from the stored count and sum
+const refreshAverageRating = (articleId) =>
+	articlesCollection.updateOne({ _id: articleId }, [
+		{
+			$set: {
+				averageRating: {
+					$cond: [{ $gt: ['$ratingCount', 0] }, { $round: [{ $divide: ['$ratingSum', '$ratingCount'] }, 2] }, 0],
+				},
+			},
+		},
+	]);
+
+//? Articles rated before ratings had their own collection get each user's latest comment rating imported once
+const ensureArticleRatings = async (article) => {
+	if (article.ratingCount !== undefined) {
+		return;
+	}
+
+	// Only the request that starts the totals at zero imports, everyone else counts their own ratings onto them
+	const claimed = await articlesCollection.updateOne(
+		{ _id: article._id, ratingCount: { $exists: false } },
+		{ $set: { ratingCount: 0, ratingSum: 0, ratingDistribution: emptyRatingDistribution() } }
+	);
+	if (!claimed.modifiedCount) {
+		return;
+	}
+
+	await ensureIndex(ratingsCollection, { articleId: 1, userEmail: 1 }, { unique: true });
+	const legacy = await commentsCollection
+		.aggregate([
+			{ $match: { articleId: article._id.toString(), rating: { $gte: 1, $lte: 5 }, deleted: { $ne: true } } },
+			{ $sort: { createdAt: -1 } },
+			{
+				$group: {
+					_id: '$userEmail',
+					rating: { $first: { $round: ['$rating', 0] } },
+					createdAt: { $first: '$createdAt' },
+				},
+			},
+		])
+		.toArray();
+
+	for (const { _id, rating, createdAt } of legacy) {
+		try {
+			await ratingsCollection.insertOne({
+				articleId: article._id,
+				userEmail: _id,
+				rating,
+				createdAt,
+				updatedAt: createdAt,
+			});
+		} catch (error) {
+			// The user rated again meanwhile, that rating is newer and already counted
+			if (error.code === 11000) {
+				continue;
+			}
+			throw error;
+		}
+		await articlesCollection.updateOne(
+			{ _id: article._id },
+			{ $inc: { ratingCount: 1, ratingSum: rating, [`ratingDistribution.${rating}`]: 1 } }
+		);
+	}
+	await refreshAverageRating(article._id);
+};
+
+//? Create or change a user's rating of an article and move the article totals by the difference
+const rateArticle = async (article, user, rating) => {
+	await ensureArticleRatings(article);
+	await ensureIndex(ratingsCollection, { articleId: 1, userEmail: 1 }, { unique: true });
+
+	const now = new Date();
+	let previous;
+	try {
+		previous = await ratingsCollection.findOneAndUpdate(
+			{ articleId: article._id, userEmail: user.email },
+			{ $set: { rating, updatedAt: now }, $setOnInsert: { userName: user.name || null, createdAt: now } },
+			{ upsert: true, returnDocument: 'before' }
+		);
+	} catch (error) {
+		// The same user rating twice at once, the retry finds the rating the other request created
+		if (error.code !== 11000) {
+			throw error;
+		}
+		return rateArticle(article, user, rating);
+	}
+
+	const inc = previous
+		? { ratingSum: rating - previous.rating, [`ratingDistribution.${previous.rating}`]: -1 }
+		: { ratingCount: 1, ratingSum: rating };
+	inc[`ratingDistribution.${rating}`] = (inc[`ratingDistribution.${rating}`] || 0) + 1;
+
+	await articlesCollection.updateOne({ _id: article._id }, { $inc: inc });
+	await refreshAverageRating(article._id);
+	return { rating, previous: previous?.rating || null };
+};
+
+//? The article totals shown next to a rating change
+const getRatingSummary = (articleId) =>
+	articlesCollection.findOne(
+		{ _id: articleId },
+		{ projection: { averageRating: 1, ratingCount: 1, ratingDistribution: 1 } }
+	);
+
+//? Whether users can rate the article, only published ones can
+const isRatable = (article) => article.status === 'approved' && !(article.publishAt > new Date());
+
+//? Load an article users can rate
+const getRatableArticle = async (req, res) => {
+	const article = await articlesCollection.findOne(
+		{ _id: new ObjectId(req.params.id), status: 'approved', publishAt: { $not: { $gt: new Date() } } },
+		{ projection: { _id: 1, ratingCount: 1 } }
+	);
+	if (!article) {
+		res.status(404).json({
+			success: false,
+			message: 'Article not found',
+		});
+	}
+	return article;
+};
+
+//? Get own rating of an article
+app.get('/articles/:id/rating', verifyUser, async (req, res) => {
+	try {
+		const article = await getRatableArticle(req, res);
+		if (!article) {
+			return;
+		}
+
+		await ensureArticleRatings(article);
+		const [rating, summary] = await Promise.all([
+			ratingsCollection.findOne({ articleId: article._id, userEmail: req.decoded.email }),
+			getRatingSummary(article._id),
+		]);
+
+		res.json({
+			success: true,
+			data: { rating: rating?.rating || null, ...summary },
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching rating',
+		});
+	}
+});
+
+//? Rate an article, replacing the caller's earlier rating
+app.put('/articles/:id/rating', verifyUser, async (req, res) => {
+	try {
+		const rating = parseRating(req.body.rating);
+		if (!rating) {
+			return res.status(400).json({
+				success: false,
+				message: 'Rating must be a whole number from 1 to 5',
+			});
+		}
+
+		const article = await getRatableArticle(req, res);
+		if (!article) {
+			return;
+		}
+
+		const user = await usersCollection.findOne({ email: req.decoded.email });
+		const result = await rateArticle(article, user || { email: req.decoded.email }, rating);
+
+		res.json({
+			success: true,
+			message: result.previous ? 'Rating updated' : 'Rating added',
+			data: { rating, ...(await getRatingSummary(article._id)) },
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error saving rating',
+		});
+	}
+});
+
+//? Remove own rating of an article
+app.delete('/articles/:id/rating', verifyUser, async (req, res) => {
+	try {
+		const article = await getRatableArticle(req, res);
+		if (!article) {
+			return;
+		}
+
+		await ensureArticleRatings(article);
+		const removed = await ratingsCollection.findOneAndDelete({ articleId: article._id, userEmail: req.decoded.email });
+		if (!removed) {
+			return res.status(404).json({
+				success: false,
+				message: 'You have not rated this article',
+			});
+		}
+
+		await articlesCollection.updateOne(
+			{ _id: article._id },
+			{ $inc: { ratingCount: -1, ratingSum: -removed.rating, [`ratingDistribution.${removed.rating}`]: -1 } }
+		);
+		await refreshAverageRating(article._id);
+
+		res.json({
+			success: true,
+			message: 'Rating removed',
+			data: { rating: null, ...(await getRatingSummary(article._id)) },
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error removing rating',
+		});
+	}
+});
+
+//? Reports that hide a comment until a moderator looks at it
+const COMMENT_REPORT_THRESHOLD = parseInt(process.env.COMMENT_REPORT_THRESHOLD) || 3;
+
+//? Why a comment can be reported
+const COMMENT_REPORT_REASONS = ['spam', 'harassment', 'hate', 'misinformation', 'off-topic', 'other'];
+
+//? Words and link counts that hold a new comment for review
+const COMMENT_BLOCKED_WORDS = (process.env.COMMENT_BLOCKED_WORDS || '')
+	.split(',')
+	.map((word) => word.trim().toLowerCase())
+	.filter(Boolean);
+// 0 holds every comment with a link, anything that isn't a count falls back to 2
+const COMMENT_MAX_LINKS = parseInt(process.env.COMMENT_MAX_LINKS) >= 0 ? parseInt(process.env.COMMENT_MAX_LINKS) : 2;
+
+//? Why a comment should wait for a moderator, or null when it can go live
+const checkCommentSpam = (text) => {
+	const lower = text.toLowerCase();
+	const blocked = COMMENT_BLOCKED_WORDS.find((word) => new RegExp(`\\b${escapeRegex(word)}\\b`).test(lower));
+	if (blocked) {
+		return 'blocked-word';
+	}
+
+	const links = text.match(/(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|ru|xyz|info|biz|top)\b/gi) || [];
+	if (links.length > COMMENT_MAX_LINKS) {
+		return 'too-many-links';
+	}
+	return null;
+};
+
+//? Replies past this depth are attached to the deepest level of their thread
+const MAX_COMMENT_DEPTH = 4;
+
+//? Comment list orders, top-rated puts the highest ratings first
+const COMMENT_SORTS = {
+	newest: { createdAt: -1, _id: -1 },
+	oldest: { createdAt: 1, _id: 1 },
+	'top-rated': { rating: -1, createdAt: -1, _id: -1 },
+};
+
+//? Moderation states that keep a comment out of everyone's sight but its author's
+const HIDDEN_COMMENT_STATUSES = ['held', 'hidden'];
+
+//? Comments shown to a user: live ones, their own held or hidden ones, and removed ones that still have replies
+const visibleCommentsFilter = (email) => ({
+	$or: [
+		{ deleted: { $ne: true }, moderationStatus: { $nin: HIDDEN_COMMENT_STATUSES } },
+		{ deleted: { $ne: true }, userEmail: email },
+		{ replyCount: { $gt: 0 } },
+	],
+});
+
+//? Deleted and hidden comments keep their place in a thread without their text or author
+const presentComment = (comment, email) => {
+	const hidden = HIDDEN_COMMENT_STATUSES.includes(comment.moderationStatus) && comment.userEmail !== email;
+	if (!comment.deleted && !hidden) {
+		return comment;
+	}
+	return {
+		_id: comment._id,
+		articleId: comment.articleId,
+		parentId: comment.parentId || null,
+		threadId: comment.threadId || comment._id,
+		depth: comment.depth || 0,
+		...(comment.deleted ? { deleted: true } : { hidden: true }),
+		replyCount: comment.replyCount || 0,
+		createdAt: comment.createdAt,
+	};
+};
+
+//? Nest replies under their parents, oldest reply first
+const buildCommentThreads = (roots, replies, email) => {
+	const byId = new Map();
+	for (const comment of [...roots, ...replies]) {
+		byId.set(comment._id.toString(), { ...presentComment(comment, email), replies: [] });
+	}
+	for (const reply of replies) {
+		byId.get(reply.parentId.toString())?.replies.push(byId.get(reply._id.toString()));
+	}
+	return roots.map((root) => byId.get(root._id.toString()));
+};
+
+//? Load a comment and check the caller wrote it, moderators may delete any comment
+const getOwnComment = async (req, res, { allowModerator = false } = {}) => {
+	const comment = await commentsCollection.findOne({ _id: new ObjectId(req.params.id) });
+	if (!comment || comment.deleted) {
+		res.status(404).json({
+			success: false,
+			message: 'Comment not found',
+		});
+		return {};
+	}
+
+	if (comment.userEmail !== req.decoded.email) {
+		const user = allowModerator ? await usersCollection.findOne({ email: req.decoded.email }) : null;
+		if (!hasPermission(user, 'comments:moderate')) {
+			res.status(403).json({
+				success: false,
+				message: 'Unauthorized access',
+			});
+			return {};
+		}
+	}
+
+	return { comment };
+};
+
+//? Get Comments, a page of top-level comments with their replies
+app.get('/articles/:id/comments', verifyUser, async (req, res) => {
+	try {
+		const sort = COMMENT_SORTS[req.query.sort || 'newest'];
+		if (!sort) {
+			return res.status(400).json({
+				success: false,
+				message: `Sort must be one of: ${Object.keys(COMMENT_SORTS).join(', ')}`,
+			});
+		}
+
+		const page = parseInt(req.query.page) || 1;
+		const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+		// Comments written before threads existed have no parentId and are all top-level
+		const filter = {
+			articleId: req.params.id,
+			parentId: null,
+			...visibleCommentsFilter(req.decoded.email),
+		};
+
+		const [roots, total] = await Promise.all([
+			commentsCollection
+				.find(filter)
+				.sort(sort)
+				.skip((page - 1) * limit)
+				.limit(limit)
+				.toArray(),
+			commentsCollection.countDocuments(filter),
+		]);
+
+		const replies = roots.length
+			? await commentsCollection
+					.find({
+						threadId: { $in: roots.map((root) => root._id) },
+						parentId: { $ne: null },
+						...visibleCommentsFilter(req.decoded.email),
+					})
+					.sort({ createdAt: 1, _id: 1 })
+					.toArray()
+			: [];
+
+		res.json({
+			success: true,
+			data: buildCommentThreads(roots, replies, req.decoded.email),
+			total,
+			page,
+			limit,
+			totalPages: Math.ceil(total / limit),
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching comments',
+		});
+	}
+});
+
+//? Add comment, or a reply with parentId
+app.post('/articles/:id/comments', verifyUser, async (req, res) => {
+	try {
+		const text = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+		if (!text || text.length > 5000) {
+			return res.status(400).json({
+				success: false,
+				message: 'Comment must be between 1 and 5000 characters',
+			});
+		}
+
+		const [article, user] = await Promise.all([
+			articlesCollection.findOne(
+				{ _id: new ObjectId(req.params.id) },
+				{ projection: { _id: 1, ratingCount: 1, title: 1, authorEmail: 1, status: 1, publishAt: 1 } }
+			),
+			usersCollection.findOne({ email: req.decoded.email }),
+		]);
+		if (!article || !user) {
+			return res.status(404).json({
+				success: false,
+				message: 'Article not found',
+			});
+		}
+
+		const comment = {
+			articleId: req.params.id,
+			parentId: null,
+			depth: 0,
+			comment: text,
+			userEmail: user.email,
+			userName: user.name || null,
+			userImage: user.photo || null,
+			replyCount: 0,
+			createdAt: new Date(),
+		};
+
+		const heldReason = checkCommentSpam(text);
+		if (heldReason) {
+			comment.moderationStatus = 'held';
+			comment.heldReason = heldReason;
+		}
+
+		let parent = null;
+		if (req.body.parentId) {
+			parent = await commentsCollection.findOne({
+				_id: new ObjectId(req.body.parentId),
+				articleId: req.params.id,
+			});
+			if (!parent || parent.deleted) {
+				return res.status(400).json({
+					success: false,
+					message: 'Cannot reply to this comment',
+				});
+			}
+
+			const parentDepth = parent.depth || 0;
+			comment.parentId = parentDepth < MAX_COMMENT_DEPTH ? parent._id : parent.parentId;
+			comment.depth = Math.min(parentDepth + 1, MAX_COMMENT_DEPTH);
+			comment.threadId = parent.threadId || parent._id;
+		} else {
+			comment.threadId = null;
+			if (req.body.rating !== undefined) {
+				const rating = parseRating(req.body.rating);
+				if (!rating) {
+					return res.status(400).json({
+						success: false,
+						message: 'Rating must be a whole number from 1 to 5',
+					});
+				}
+				if (!isRatable(article)) {
+					return res.status(400).json({
+						success: false,
+						message: 'Only published articles can be rated',
+					});
+				}
+				// Kept on the comment for display, the article only counts the user's single rating
+				comment.rating = rating;
+			}
+		}
+
+		const result = await commentsCollection.insertOne(comment);
+		await ensureIndex(commentsCollection, { articleId: 1, parentId: 1, createdAt: -1 });
+		await ensureIndex(commentsCollection, { threadId: 1, createdAt: 1 });
+
+		if (comment.threadId) {
+			await commentsCollection.updateOne({ _id: comment.parentId }, { $inc: { replyCount: 1 } });
+		} else {
+			// Top-level comments are their own thread
+			comment.threadId = result.insertedId;
+			await commentsCollection.updateOne({ _id: result.insertedId }, { $set: { threadId: result.insertedId } });
+		}
+
+		if (comment.rating) {
+			await rateArticle(article, user, comment.rating);
+		}
+		if (!heldReason) {
+			await notifyNewComment(article, { ...comment, _id: result.insertedId }, parent);
+		}
+
+		res.json({
+			success: true,
+			message: heldReason ? 'Comment held for review' : 'Comment added successfully',
+			data: { ...comment, _id: result.insertedId },
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error adding comment',
+		});
+	}
+});
+
+//? Edit own comment
+app.patch('/comments/:id', verifyUser, async (req, res) => {
+	try {
+		const { comment } = await getOwnComment(req, res);
+		if (!comment) {
+			return;
+		}
+
+		const text = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+		if (!text || text.length > 5000) {
+			return res.status(400).json({
+				success: false,
+				message: 'Comment must be between 1 and 5000 characters',
+			});
+		}
+
+		// Edits pass the same filter, so a held comment can't be slipped in afterwards. A moderator's approval
+		// was for the old text, so an approved comment is back to unreviewed, hidden ones stay hidden
+		const set = { comment: text, edited: true, editedAt: new Date() };
+		const update = { $set: set };
+		const heldReason = comment.moderationStatus === 'hidden' ? null : checkCommentSpam(text);
+		if (heldReason) {
+			set.moderationStatus = 'held';
+			set.heldReason = heldReason;
+		} else if (comment.moderationStatus === 'approved') {
+			update.$unset = { moderationStatus: '' };
+		}
+		await commentsCollection.updateOne({ _id: comment._id }, update);
+
+		const data = { ...comment, ...set };
+		if (update.$unset) {
+			delete data.moderationStatus;
+		}
+
+		res.json({
+			success: true,
+			message: heldReason ? 'Comment held for review' : 'Comment updated successfully',
+			data,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error updating comment',
+		});
+	}
+});
+
+//? Delete own comment, replies stay under a deleted placeholder
+app.delete('/comments/:id', verifyUser, async (req, res) => {
+	try {
+		const { comment } = await getOwnComment(req, res, { allowModerator: true });
+		if (!comment) {
+			return;
+		}
+
+		await commentsCollection.updateOne(
+			{ _id: comment._id },
+			{ $set: { deleted: true, deletedAt: new Date(), deletedBy: req.decoded.email } }
+		);
+
+		res.json({
+			success: true,
+			message: 'Comment deleted successfully',
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error deleting comment',
+		});
+	}
+});
+
+//? Report a comment, enough reports hide it until a moderator reviews it
+app.post('/comments/:id/report', verifyUser, async (req, res) => {
+	try {
+		const { reason } = req.body;
+		const details = typeof req.body.details === 'string' ? req.body.details.trim().slice(0, 500) : '';
+		if (!COMMENT_REPORT_REASONS.includes(reason)) {
+			return res.status(400).json({
+				success: false,
+				message: `Reason must be one of: ${COMMENT_REPORT_REASONS.join(', ')}`,
+			});
+		}
+		if (reason === 'other' && !details) {
+			return res.status(400).json({
+				success: false,
+				message: 'Please describe the problem',
+			});
+		}
+
+		const comment = await commentsCollection.findOne({ _id: new ObjectId(req.params.id), deleted: { $ne: true } });
+		if (!comment) {
+			return res.status(404).json({
+				success: false,
+				message: 'Comment not found',
+			});
+		}
+		if (comment.userEmail === req.decoded.email) {
+			return res.status(400).json({
+				success: false,
+				message: 'You cannot report your own comment',
+			});
+		}
+
+		await ensureIndex(commentReportsCollection, { commentId: 1, reporterEmail: 1 }, { unique: true });
+		try {
+			await commentReportsCollection.insertOne({
+				commentId: comment._id,
+				articleId: comment.articleId,
+				reporterEmail: req.decoded.email,
+				reason,
+				details: details || null,
+				resolved: false,
+				createdAt: new Date(),
+			});
+		} catch (error) {
+			if (error.code === 11000) {
+				return res.status(409).json({
+					success: false,
+					message: 'You already reported this comment',
+				});
+			}
+			throw error;
+		}
+
+		const { reportCount } = await commentsCollection.findOneAndUpdate(
+			{ _id: comment._id },
+			{ $inc: { reportCount: 1 } },
+			{ returnDocument: 'after', projection: { reportCount: 1 } }
+		);
+
+		// Comments a moderator already approved stay up and just come back to the queue
+		if (reportCount >= COMMENT_REPORT_THRESHOLD) {
+			await commentsCollection.updateOne(
+				{ _id: comment._id, moderationStatus: { $nin: ['approved', 'hidden'] } },
+				{ $set: { moderationStatus: 'hidden', hiddenAt: new Date(), hiddenBy: 'reports' } }
+			);
+		}
+
+		res.json({
+			success: true,
+			message: 'Comment reported',
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error reporting comment',
+		});
+	}
+});
+
+//? Moderation queue filters, reported ones have open reports
+const MODERATION_QUEUES = {
+	reported: { reportCount: { $gt: 0 } },
+	held: { moderationStatus: 'held' },
+	hidden: { moderationStatus: 'hidden' },
+	all: { $or: [{ reportCount: { $gt: 0 } }, { moderationStatus: { $in: HIDDEN_COMMENT_STATUSES } }] },
+};
+
+//? Get the comment moderation queue with each comment's article, parent and reports
+app.get('/admin/comments/moderation', verifyUser, requirePermission('comments:moderate'), async (req, res) => {
+	try {
+		const queue = MODERATION_QUEUES[req.query.status || 'all'];
+		if (!queue) {
+			return res.status(400).json({
+				success: false,
+				message: `Status must be one of: ${Object.keys(MODERATION_QUEUES).join(', ')}`,
+			});
+		}
+
+		const page = parseInt(req.query.page) || 1;
+		const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+		const filter = { ...queue, deleted: { $ne: true } };
+
+		const [comments, total] = await Promise.all([
+			commentsCollection
+				.aggregate([
+					{ $match: filter },
+					{ $sort: { reportCount: -1, createdAt: -1, _id: -1 } },
+					{ $skip: (page - 1) * limit },
+					{ $limit: limit },
+					{
+						$lookup: {
+							from: 'articles',
+							let: { articleId: { $convert: { input: '$articleId', to: 'objectId', onError: null } } },
+							pipeline: [
+								{ $match: { $expr: { $eq: ['$_id', '$$articleId'] } } },
+								{ $project: { title: 1, authorEmail: 1, status: 1 } },
+							],
+							as: 'article',
+						},
+					},
+					{
+						$lookup: {
+							from: 'comments',
+							localField: 'parentId',
+							foreignField: '_id',
+							pipeline: [{ $project: { comment: 1, userName: 1, userEmail: 1, deleted: 1, createdAt: 1 } }],
+							as: 'parent',
+						},
+					},
+					{
+						$lookup: {
+							from: 'commentReports',
+							let: { commentId: '$_id' },
+							pipeline: [
+								{ $match: { $expr: { $eq: ['$commentId', '$$commentId'] }, resolved: false } },
+								{ $sort: { createdAt: -1 } },
+							],
+							as: 'reports',
+						},
+					},
+					{
+						$set: {
+							article: { $first: '$article' },
+							parent: { $first: '$parent' },
+						},
+					},
+				])
+				.toArray(),
+			commentsCollection.countDocuments(filter),
+		]);
+
+		res.json({
+			success: true,
+			data: comments,
+			total,
+			page,
+			limit,
+			totalPages: Math.ceil(total / limit),
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching moderation queue',
+		});
+	}
+});
+
+//? Approve, hide or delete a comment from the moderation queue
+app.patch('/admin/comments/:id/moderation', verifyUser, requirePermission('comments:moderate'), async (req, res) => {
+	try {
+		const { action } = req.body;
+		const note = typeof req.body.note === 'string' ? req.body.note.trim() || null : null;
+		if (!['approve', 'hide', 'delete'].includes(action)) {
+			return res.status(400).json({
+				success: false,
+				message: 'Action must be one of: approve, hide, delete',
+			});
+		}
+
+		const comment = await commentsCollection.findOne({ _id: new ObjectId(req.params.id), deleted: { $ne: true } });
+		if (!comment) {
+			return res.status(404).json({
+				success: false,
+				message: 'Comment not found',
+			});
+		}
+
+		const now = new Date();
+		const set = {
+			approve: { moderationStatus: 'approved', reportCount: 0 },
+			hide: { moderationStatus: 'hidden', hiddenAt: now, hiddenBy: req.user.email },
+			delete: { deleted: true, deletedAt: now, deletedBy: req.user.email, reportCount: 0 },
+		}[action];
+
+		await commentsCollection.updateOne(
+			{ _id: comment._id },
+			{
+				$set: set,
+				...(action !== 'hide' && { $unset: { heldReason: '' } }),
+				$push: { moderationHistory: { action, moderatorEmail: req.user.email, note, at: now } },
+			}
+		);
+		// Hiding keeps the reports open so the comment can still be approved or deleted later
+		if (action !== 'hide') {
+			await commentReportsCollection.updateMany(
+				{ commentId: comment._id, resolved: false },
+				{ $set: { resolved: true, resolution: action, resolvedBy: req.user.email, resolvedAt: now } }
+			);
+		}
+
+		res.json({
+			success: true,
+			message: `Comment ${{ approve: 'approved', hide: 'hidden', delete: 'deleted' }[action]}`,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error moderating comment',
+		});
+	}
+});
+
+// NOTE: ALL API RELATED TO BOOKMARKS AND READING LISTS
+//? Article fields shown in bookmarks and reading lists, the content is read through the article itself
+const ARTICLE_CARD_PROJECTION = {
+	title: 1,
+	image: 1,
+	description: 1,
+	tags: 1,
+	isPremium: 1,
+	publisher: 1,
+	publisherName: 1,
+	authorName: 1,
+	views: 1,
+	averageRating: 1,
+	createdAt: 1,
+	publishAt: 1,
+};
+
+const MAX_READING_LIST_ARTICLES = 500;
+
+//? Filter for articles readers can save, approved and past their publish time
+const readableArticleFilter = (ids) => ({
+	_id: Array.isArray(ids) ? { $in: ids } : ids,
+	status: 'approved',
+	publishAt: { $not: { $gt: new Date() } },
+});
+
+//? Article cards in the order of `ids`, skipping articles that are no longer readable
+const getArticleCards = async (ids) => {
+	const articles = await articlesCollection.find(readableArticleFilter(ids)).project(ARTICLE_CARD_PROJECTION).toArray();
+	const byId = new Map(articles.map((article) => [article._id.toString(), article]));
+	return ids.map((id) => byId.get(id.toString())).filter(Boolean);
+};
+
+//? Find a readable article to save
+const getReadableArticle = async (res, id) => {
+	const article = await articlesCollection.findOne(readableArticleFilter(new ObjectId(id)), {
+		projection: { _id: 1 },
+	});
+	if (!article) {
+		res.status(404).json({
+			success: false,
+			message: 'Article not found',
+		});
+	}
+	return article;
+};
+
+//? Get own bookmarks, newest first
+app.get('/bookmarks', verifyUser, async (req, res) => {
+	try {
+		const page = await findPage(bookmarksCollection, { userEmail: req.decoded.email }, 'createdAt', req.query);
+		if (page.error) {
+			return res.status(400).json({
+				success: false,
+				message: page.error,
+			});
+		}
+
+		const articles = await getArticleCards(page.data.map((bookmark) => bookmark.articleId));
+		const byId = new Map(articles.map((article) => [article._id.toString(), article]));
+
+		res.json({
+			success: true,
+			...page,
+			data: page.data.map((bookmark) => ({
+				_id: bookmark._id,
+				bookmarkedAt: bookmark.createdAt,
+				article: byId.get(bookmark.articleId.toString()) || null,
+			})),
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching bookmarks',
+		});
+	}
+});
+
+//? Bookmark an article
+app.post('/articles/:id/bookmark', verifyUser, async (req, res) => {
+	try {
+		const article = await getReadableArticle(res, req.params.id);
+		if (!article) {
+			return;
+		}
+
+		await ensureIndex(bookmarksCollection, { userEmail: 1, articleId: 1 }, { unique: true });
+		await ensureIndex(bookmarksCollection, { userEmail: 1, createdAt: -1 });
+		const result = await bookmarksCollection.updateOne(
+			{ userEmail: req.decoded.email, articleId: article._id },
+			{ $setOnInsert: { createdAt: new Date() } },
+			{ upsert: true }
+		);
+
+		res.status(result.upsertedCount ? 201 : 200).json({
+			success: true,
+			message: result.upsertedCount ? 'Article bookmarked' : 'Article already bookmarked',
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error bookmarking article',
+		});
+	}
+});
+
+//? Remove a bookmark
+app.delete('/articles/:id/bookmark', verifyUser, async (req, res) => {
+	try {
+		const result = await bookmarksCollection.deleteOne({
+			userEmail: req.decoded.email,
+			articleId: new ObjectId(req.params.id),
+		});
+		if (result.deletedCount === 0) {
+			return res.status(404).json({
+				success: false,
+				message: 'Bookmark not found',
+			});
+		}
+
+		res.json({
+			success: true,
+			message: 'Bookmark removed',
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error removing bookmark',
+		});
+	}
+});
+
+//? Validated name and description of a reading list, only the given fields when partial
+const validateReadingList = (body, partial = false) => {
+	const list = {};
+	if (!partial || body.name !== undefined) {
+		const name = typeof body.name === 'string' ? body.name.trim() : '';
+		if (!name || name.length > 100) {
+			return { error: 'Name must be between 1 and 100 characters' };
+		}
+		list.name = name;
+	}
+	if (body.description !== undefined) {
+		if (body.description !== null && typeof body.description !== 'string') {
+			return { error: 'Description must be text' };
+		}
+		list.description = body.description?.trim().slice(0, 500) || null;
+	}
+	return { list };
+};
+
+//? Load one of the caller's reading lists
+const getOwnReadingList = async (req, res) => {
+	const list = await readingListsCollection.findOne({
+		_id: new ObjectId(req.params.id),
+		ownerEmail: req.decoded.email,
+	});
+	if (!list) {
+		res.status(404).json({
+			success: false,
+			message: 'Reading list not found',
+		});
+	}
+	return list;
+};
+
+//? A reading list as shown to its owner
+const presentReadingList = ({ articleIds, ...list }) => ({ ...list, articleCount: articleIds.length });
+
+//? Get own reading lists
+app.get('/reading-lists', verifyUser, async (req, res) => {
+	try {
+		const lists = await readingListsCollection
+			.find({ ownerEmail: req.decoded.email })
+			.sort({ updatedAt: -1 })
+			.toArray();
+
+		res.json({
+			success: true,
+			data: lists.map(presentReadingList),
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching reading lists',
+		});
+	}
+});
+
+//? Create a reading list, private until shared
+app.post('/reading-lists', verifyUser, async (req, res) => {
+	try {
+		const { list, error } = validateReadingList(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error,
+			});
+		}
+
+		const user = await usersCollection.findOne({ email: req.decoded.email }, { projection: { name: 1 } });
+		const now = new Date();
+		const readingList = {
+			ownerEmail: req.decoded.email,
+			ownerName: user?.name || null,
+			description: null,
+			...list,
+			articleIds: [],
+			isPublic: false,
+			shareToken: null,
+			createdAt: now,
+			updatedAt: now,
+		};
+
+		await ensureIndex(readingListsCollection, { ownerEmail: 1, name: 1 }, { unique: true });
+		await ensureIndex(
+			readingListsCollection,
+			{ shareToken: 1 },
+			{ unique: true, partialFilterExpression: { shareToken: { $type: 'string' } } }
+		);
+		const result = await readingListsCollection.insertOne(readingList);
+
+		res.status(201).json({
+			success: true,
+			message: 'Reading list created',
+			data: presentReadingList({ ...readingList, _id: result.insertedId }),
+		});
+	} catch (error) {
+		if (error.code === 11000) {
+			return res.status(409).json({
+				success: false,
+				message: 'You already have a list with this name',
+			});
+		}
+		res.status(500).json({
+			success: false,
+			message: 'Error creating reading list',
+		});
+	}
+});
+
+//? Get own reading list with its articles in order
+app.get('/reading-lists/:id', verifyUser, async (req, res) => {
+	try {
+		const list = await getOwnReadingList(req, res);
+		if (!list) {
+			return;
+		}
+
+		res.json({
+			success: true,
+			data: { ...presentReadingList(list), articles: await getArticleCards(list.articleIds) },
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching reading list',
+		});
+	}
+});
+
+//? Rename a reading list or share it, sharing creates a public link and unsharing revokes it
+app.patch('/reading-lists/:id', verifyUser, async (req, res) => {
+	try {
+		const list = await getOwnReadingList(req, res);
+		if (!list) {
+			return;
+		}
+
+		const { list: updates, error } = validateReadingList(req.body, true);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error,
+			});
+		}
+
+		const set = { ...updates, updatedAt: new Date() };
+		if (req.body.isPublic !== undefined) {
+			set.isPublic = req.body.isPublic === true;
+			set.shareToken = set.isPublic ? list.shareToken || crypto.randomBytes(16).toString('base64url') : null;
+		}
+
+		await readingListsCollection.updateOne({ _id: list._id }, { $set: set });
+
+		res.json({
+			success: true,
+			message: 'Reading list updated',
+			data: presentReadingList({ ...list, ...set }),
+		});
+	} catch (error) {
+		if (error.code === 11000) {
+			return res.status(409).json({
+				success: false,
+				message: 'You already have a list with this name',
+			});
+		}
+		res.status(500).json({
+			success: false,
+			message: 'Error updating reading list',
+		});
+	}
+});
+
+//? Delete a reading list
+app.delete('/reading-lists/:id', verifyUser, async (req, res) => {
+	try {
+		const result = await readingListsCollection.deleteOne({
+			_id: new ObjectId(req.params.id),
+			ownerEmail: req.decoded.email,
+		});
+		if (result.deletedCount === 0) {
+			return res.status(404).json({
+				success: false,
+				message: 'Reading list not found',
+			});
+		}
+
+		res.json({
+			success: true,
+			message: 'Reading list deleted',
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error deleting reading list',
+		});
+	}
+});
+
+//? Add an article to the end of a reading list
+app.post('/reading-lists/:id/articles', verifyUser, async (req, res) => {
+	try {
+		const list = await getOwnReadingList(req, res);
+		if (!list) {
+			return;
+		}
+
+		if (!ObjectId.isValid(req.body.articleId)) {
+			return res.status(400).json({
+				success: false,
+				message: 'articleId is required',
+			});
+		}
+		const article = await getReadableArticle(res, req.body.articleId);
+		if (!article) {
+			return;
+		}
+
+		const result = await readingListsCollection.updateOne(
+			{
+				_id: list._id,
+				articleIds: { $ne: article._id },
+				[`articleIds.${MAX_READING_LIST_ARTICLES - 1}`]: { $exists: false },
+			},
+			{ $push: { articleIds: article._id }, $set: { updatedAt: new Date() } }
+		);
+		if (result.modifiedCount === 0) {
+			const full = list.articleIds.length >= MAX_READING_LIST_ARTICLES;
+			return res.status(409).json({
+				success: false,
+				message: full
+					? `A list can hold up to ${MAX_READING_LIST_ARTICLES} articles`
+					: 'Article is already in this list',
+			});
+		}
+
+		res.status(201).json({
+			success: true,
+			message: 'Article added to reading list',
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error adding article to reading list',
+		});
+	}
+});
+
+//? Remove an article from a reading list
+app.delete('/reading-lists/:id/articles/:articleId', verifyUser, async (req, res) => {
+	try {
+		const result = await readingListsCollection.updateOne(
+			{ _id: new ObjectId(req.params.id), ownerEmail: req.decoded.email },
+			{ $pull: { articleIds: new ObjectId(req.params.articleId) }, $set: { updatedAt: new Date() } }
+		);
+		if (result.matchedCount === 0) {
+			return res.status(404).json({
+				success: false,
+				message: 'Reading list not found',
+			});
+		}
+
+		res.json({
+			success: true,
+			message: 'Article removed from reading list',
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error removing article from reading list',
+		});
+	}
+});
+
+//? Reorder a reading list, `articleIds` has to hold exactly the articles already in it
+app.put('/reading-lists/:id/order', verifyUser, async (req, res) => {
+	try {
+		const list = await getOwnReadingList(req, res);
+		if (!list) {
+			return;
+		}
+
+		const current = list.articleIds.map(String);
+		const order = Array.isArray(req.body.articleIds) ? req.body.articleIds.map(String) : [];
+		if (
+			order.length !== current.length ||
+			new Set(order).size !== order.length ||
+			!order.every((id) => current.includes(id))
+		) {
+			return res.status(400).json({
+				success: false,
+				message: 'articleIds must list every article in the reading list once',
+			});
+		}
+
+		// Matching on the old order makes a reorder fail if the list changed meanwhile
+		const result = await readingListsCollection.updateOne(
+			{ _id: list._id, articleIds: list.articleIds },
+			{ $set: { articleIds: order.map((id) => new ObjectId(id)), updatedAt: new Date() } }
+		);
+		if (result.matchedCount === 0) {
+			return res.status(409).json({
+				success: false,
+				message: 'Reading list changed, please reload',
+			});
+		}
+
+		res.json({
+			success: true,
+			message: 'Reading list reordered',
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error reordering reading list',
+		});
+	}
+});
+
+//? Get a shared reading list, anyone with the link can see it
+app.get('/shared/reading-lists/:token', async (req, res) => {
+	try {
+		const list = await readingListsCollection.findOne({ shareToken: req.params.token, isPublic: true });
+		if (!list) {
+			return res.status(404).json({
+				success: false,
+				message: 'Reading list not found',
+			});
+		}
+
+		res.json({
+			success: true,
+			data: {
+				_id: list._id,
+				name: list.name,
+				description: list.description,
+				ownerName: list.ownerName,
+				updatedAt: list.updatedAt,
+				articles: await getArticleCards(list.articleIds),
+			},
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching reading list',
+		});
+	}
+});
+
+//? Load an article from a shared list, premium ones go through verifySubscription
+const gateSharedArticle = async (req, res, next) => {
+	try {
+		const articleId = new ObjectId(req.params.articleId);
+		const list = await readingListsCollection.findOne(
+			{ shareToken: req.params.token, isPublic: true, articleIds: articleId },
+			{ projection: { _id: 1 } }
+		);
+		const article = list && (await articlesCollection.findOne(readableArticleFilter(articleId)));
+		if (!article) {
+			return res.status(404).json({
+				success: false,
+				message: 'Article not found',
+			});
+		}
+
+		req.sharedArticle = article;
+		if (article.isPremium) {
+			return verifySubscription(req, res, next);
+		}
+		next();
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching article',
+		});
+	}
+};
+
+//? Read an article from a shared reading list
+app.get('/shared/reading-lists/:token/articles/:articleId', verifyUser, gateSharedArticle, (req, res) => {
+	res.json({
+		success: true,
+		data: req.sharedArticle,
+	});
+});
+
+// NOTE: ALL API RELATED TO FOLLOWS AND FEED
+//? What can be followed, and where its follower count is kept
+const FOLLOW_TARGETS = {
+	publisher: {
+		find: (id) => findPublisher(id),
+		countIn: (id) => [publishersCollection, { _id: new ObjectId(id) }],
+	},
+	author: {
+		// Only users with a published article are authors
+		find: async (email) => {
+			const [user, article] = await Promise.all([
+				usersCollection.findOne({ email }, { projection: { _id: 1 } }),
+				articlesCollection.findOne(
+					{ authorEmail: email, status: 'approved', publishAt: { $not: { $gt: new Date() } } },
+					{ projection: { _id: 1 } }
+				),
+			]);
+			return article ? user : null;
+		},
+		countIn: (email) => [usersCollection, { email }],
+	},
+};
+
+//? Follow a publisher or author, the follower count only moves when the follow is new
+const follow = async (req, res, type, targetId) => {
+	if (type === 'author' && targetId === req.decoded.email) {
+		return res.status(400).json({
+			success: false,
+			message: 'You cannot follow yourself',
+		});
+	}
+
+	const target = await FOLLOW_TARGETS[type].find(targetId);
+	if (!target) {
+		return res.status(404).json({
+			success: false,
+			message: `${type === 'author' ? 'Author' : 'Publisher'} not found`,
+		});
+	}
+
+	await ensureIndex(followsCollection, { followerEmail: 1, type: 1, targetId: 1 }, { unique: true });
+	let result;
+	try {
+		result = await followsCollection.updateOne(
+			{ followerEmail: req.decoded.email, type, targetId },
+			{ $setOnInsert: { createdAt: new Date() } },
+			{ upsert: true }
+		);
+	} catch (error) {
+		// Two follows racing, the other request created it and counted it
+		if (error.code !== 11000) {
+			throw error;
+		}
+		result = { upsertedCount: 0 };
+	}
+	if (result.upsertedCount) {
+		const [collection, filter] = FOLLOW_TARGETS[type].countIn(targetId);
+		await collection.updateOne(filter, { $inc: { followerCount: 1 } });
+	}
+
+	res.status(result.upsertedCount ? 201 : 200).json({
+		success: true,
+		message: result.upsertedCount ? 'Followed' : 'Already following',
+	});
+};
+
+//? Unfollow a publisher or author
+const unfollow = async (req, res, type, targetId) => {
+	const result = await followsCollection.deleteOne({ followerEmail: req.decoded.email, type, targetId });
+	if (result.deletedCount === 0) {
+		return res.status(404).json({
+			success: false,
+			message: 'You are not following this',
+		});
+	}
+
+	const [collection, filter] = FOLLOW_TARGETS[type].countIn(targetId);
+	await collection.updateOne(filter, { $inc: { followerCount: -1 } });
+
+	res.json({
+		success: true,
+		message: 'Unfollowed',
+	});
+};
+
+//? Follow a publisher
+app.post('/publishers/:id/follow', verifyUser, async (req, res) => {
+	try {
+		if (!ObjectId.isValid(req.params.id)) {
+			return res.status(404).json({
+				success: false,
+				message: 'Publisher not found',
+			});
+		}
+		await follow(req, res, 'publisher', new ObjectId(req.params.id).toString());
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error following publisher',
+		});
+	}
+});
+
+//? Unfollow a publisher
+app.delete('/publishers/:id/follow', verifyUser, async (req, res) => {
+	try {
+		if (!ObjectId.isValid(req.params.id)) {
+			return res.status(404).json({
+				success: false,
+				message: 'Publisher not found',
+			});
+		}
+		await unfollow(req, res, 'publisher', new ObjectId(req.params.id).toString());
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error unfollowing publisher',
+		});
+	}
+});
+
+//? Follow an author
+app.post('/authors/:email/follow', verifyUser, async (req, res) => {
+	try {
+		await follow(req, res, 'author', req.params.email);
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error following author',
+		});
+	}
+});
+
+//? Unfollow an author
+app.delete('/authors/:email/follow', verifyUser, async (req, res) => {
+	try {
+		await unfollow(req, res, 'author', req.params.email);
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error unfollowing author',
+		});
+	}
+});
+
+//? Get who the caller follows
+app.get('/follows', verifyUser, async (req, res) => {
+	try {
+		const follows = await followsCollection
+			.find({ followerEmail: req.decoded.email })
+			.sort({ createdAt: -1 })
+			.toArray();
+		const publisherIds = follows.filter((item) => item.type === 'publisher').map((item) => new ObjectId(item.targetId));
+		const authorEmails = follows.filter((item) => item.type === 'author').map((item) => item.targetId);
+
+		const [publishers, authors] = await Promise.all([
+			publishersCollection.find({ _id: { $in: publisherIds } }).toArray(),
+			usersCollection
+				.find({ email: { $in: authorEmails } })
+				.project({ _id: 0, email: 1, name: 1, photo: 1, followerCount: 1 })
+				.toArray(),
+		]);
+
+		res.json({
+			success: true,
+			data: { publishers, authors },
+		});
+	} catch (error) {
 		res.status(500).json({
 			success: false,
-			message: 'Error updating article',
+			message: 'Error fetching follows',
 		});
 	}
 });
 
-//? Delete Article
-app.delete('/articles/:id', verifyUser, async (req, res) => {
+//? Get an author's public profile
+app.get('/authors/:email', async (req, res) => {
 	try {
-		const result = await articlesCollection.deleteOne({
-			_id: new ObjectId(req.params.id),
-		});
+		const [author, stats] = await Promise.all([
+			usersCollection.findOne(
+				{ email: req.params.email },
+				{ projection: { _id: 0, name: 1, photo: 1, followerCount: 1, created_at: 1 } }
+			),
+			articlesCollection
+				.aggregate([
+					{ $match: { authorEmail: req.params.email, status: 'approved', publishAt: { $not: { $gt: new Date() } } } },
+					{
+						$group: {
+							_id: null,
+							articleCount: { $sum: 1 },
+							totalViews: { $sum: '$views' },
+							averageRating: { $avg: { $cond: [{ $gt: ['$ratingCount', 0] }, '$averageRating', null] } },
+						},
+					},
+				])
+				.toArray(),
+		]);
 
-		if (result.deletedCount === 0) {
+		if (!author) {
 			return res.status(404).json({
 				success: false,
-				message: 'Article not found',
+				message: 'Author not found',
 			});
 		}
 
+		// Users are stored with created_at, the profile uses the same names as articles
+		const { created_at, ...profile } = author;
 		res.json({
 			success: true,
-			message: 'Article deleted successfully',
+			data: {
+				...profile,
+				email: req.params.email,
+				createdAt: created_at || null,
+				followerCount: author.followerCount || 0,
+				articleCount: stats[0]?.articleCount || 0,
+				totalViews: stats[0]?.totalViews || 0,
+				averageRating: stats[0]?.averageRating ? Math.round(stats[0].averageRating * 100) / 100 : null,
+			},
 		});
 	} catch (error) {
 		res.status(500).json({
 			success: false,
-			message: 'Error deleting article',
+			message: 'Error fetching author',
 		});
 	}
 });
 
-// NOTE: ALL API RELATED TO PUBLISHER
+//? The tags a user reads most, from the articles they viewed lately
+const getReadingInterests = async (userId, days = 90) => {
+	const reads = await articleReadersCollection
+		.aggregate([
+			{ $match: { viewerKey: `user:${userId}`, day: { $gte: new Date(Date.now() - days * DAY_MS) } } },
+			{ $group: { _id: '$articleId' } },
+			{ $limit: 500 },
+		])
+		.toArray();
+	const articleIds = reads.map((read) => read._id);
+
+	const tags = articleIds.length
+		? await articlesCollection
+				.aggregate([
+					{ $match: { _id: { $in: articleIds } } },
+					{ $unwind: '$tags' },
+					{ $group: { _id: '$tags.value', count: { $sum: 1 } } },
+					{ $sort: { count: -1, _id: 1 } },
+					{ $limit: 5 },
+				])
+				.toArray()
+		: [];
 
-//? Add Publisher
-app.post('/publishers', verifyUser, verifyAdmin, async (req, res) => {
-	const { name, logo } = req.body;
+	return { articleIds, tags: tags.map((tag) => tag._id) };
+};
+
+//? Get the caller's feed, approved articles from followed publishers and authors.
+//? The first page also suggests trending articles in the tags they read when the feed runs short
+app.get('/feed', verifyUser, async (req, res) => {
 	try {
-		if (!name || !logo) {
+		const follows = await followsCollection.find({ followerEmail: req.decoded.email }).toArray();
+		const publisherIds = follows.filter((item) => item.type === 'publisher').map((item) => item.targetId);
+		const authorEmails = follows.filter((item) => item.type === 'author').map((item) => item.targetId);
+
+		const sources = [
+			...(publisherIds.length ? [publisherArticlesFilter(...publisherIds)] : []),
+			...(authorEmails.length ? [{ authorEmail: { $in: authorEmails } }] : []),
+		];
+
+		const page = sources.length
+			? await getArticlePage(req.query, { status: 'approved', $or: sources })
+			: { data: [], total: 0, limit: parseInt(req.query.limit) || 10, page: 1, totalPages: 0 };
+		if (page.error) {
 			return res.status(400).json({
 				success: false,
-				message: 'Name and logo are required',
+				message: page.error,
 			});
 		}
 
-		const result = await publishersCollection.insertOne({
-			name,
-			logo,
-			createdAt: new Date(),
-		});
+		let suggested = [];
+		const firstPage = !req.query.after && !req.query.before && (parseInt(req.query.page) || 1) === 1;
+		if (firstPage && page.data.length < page.limit) {
+			const interests = await getReadingInterests(req.decoded.sub);
+			if (interests.tags.length) {
+				suggested = await getTrendingArticles({
+					window: TRENDING_WINDOWS['7d'],
+					tag: interests.tags,
+					limit: page.limit - page.data.length,
+					exclude: [...interests.articleIds, ...page.data.map((article) => article._id)],
+				});
+			}
+		}
 
-		res.status(201).json({
+		res.json({
 			success: true,
-			message: 'Publisher added successfully',
-			data: result,
+			...page,
+			suggested,
 		});
 	} catch (error) {
 		res.status(500).json({
 			success: false,
-			message: 'Error adding publisher',
+			message: 'Error fetching feed',
 		});
 	}
 });
 
-//? Get Publishers
-app.get('/publishers', async (req, res) => {
+// NOTE: ALL API RELATED TO NOTIFICATIONS
+//? Notification categories users can mute
+const NOTIFICATION_CATEGORIES = {
+	articles: 'Status changes of your articles',
+	comments: 'New comments on your articles',
+	replies: 'Replies to your comments',
+	subscription: 'Your subscription ending',
+	account: 'Changes to your account role',
+};
+
+//? Store a notification unless the user muted its category. Never throws, a notification
+//? failing must not fail the action that caused it
+const notify = async (email, category, { type, title, message, data = {} }) => {
 	try {
-		const publishers = await publishersCollection.find().toArray();
-		res.status(201).json({
-			success: true,
-			message: 'Publisher added successfully',
-			data: publishers,
+		if (!email) {
+			return;
+		}
+		const user = await usersCollection.findOne({ email }, { projection: { notificationPreferences: 1 } });
+		if (!user || user.notificationPreferences?.muted?.includes(category)) {
+			return;
+		}
+
+		await ensureIndex(notificationsCollection, { userEmail: 1, createdAt: -1 });
+		await ensureIndex(notificationsCollection, { userEmail: 1, read: 1 });
+		await notificationsCollection.insertOne({
+			userEmail: email,
+			category,
+			type,
+			title,
+			message,
+			data,
+			read: false,
+			createdAt: new Date(),
 		});
 	} catch (error) {
-		res.status(500).json({
-			success: false,
-			message: 'Error adding publisher',
+		console.error('Notification Error:', error);
+	}
+};
+
+//? Tell an author their article moved through the workflow
+const notifyArticleStatus = (article, status, { reason, publishAt } = {}) => {
+	const scheduled = status === 'approved' && publishAt > new Date();
+	const messages = {
+		approved: scheduled
+			? `"${article.title}" was approved and will be published on ${publishAt.toISOString().split('T')[0]}.`
+			: `"${article.title}" was approved and is now live.`,
+		declined: `"${article.title}" was declined: ${reason}`,
+		pending: `"${article.title}" was sent back to review.`,
+		archived: `"${article.title}" was archived.`,
+	};
+	if (!messages[status]) {
+		return;
+	}
+
+	return notify(article.authorEmail, 'articles', {
+		type: `article_${status}`,
+		title: `Article ${status}`,
+		message: messages[status],
+		data: { articleId: article._id, status, reason: reason || null },
+	});
+};
+
+//? Tell an article's author about a new comment, and a comment's author about a reply to it
+const notifyNewComment = async (article, comment, parent) => {
+	const data = { articleId: article._id, commentId: comment._id };
+	if (article.authorEmail && article.authorEmail !== comment.userEmail) {
+		await notify(article.authorEmail, 'comments', {
+			type: parent ? 'article_reply' : 'article_comment',
+			title: 'New comment on your article',
+			message: `${comment.userName || 'Someone'} commented on "${article.title}".`,
+			data,
 		});
 	}
-});
+	if (parent && parent.userEmail !== comment.userEmail && parent.userEmail !== article.authorEmail) {
+		await notify(parent.userEmail, 'replies', {
+			type: 'comment_reply',
+			title: 'New reply to your comment',
+			message: `${comment.userName || 'Someone'} replied to your comment on "${article.title}".`,
+			data: { ...data, parentId: parent._id },
+		});
+	}
+};
 
-// NOTE: ALL API RELATED TO PAYMENT
-//? Create payment session
-app.post('/create-payment-intent', verifyUser, async (req, res) => {
+//? Tell a user their premium access has ended
+const notifySubscriptionExpired = (email) =>
+	notify(email, 'subscription', {
+		type: 'subscription_expired',
+		title: 'Your subscription has ended',
+		message: 'Your premium access has ended. Subscribe again to keep reading premium articles.',
+	});
+
+//? Get own notifications, newest first, only unread ones with unread=true
+app.get('/notifications', verifyUser, async (req, res) => {
 	try {
-		const { planId, email } = req.body;
-		// Get plan from database
-		const plan = await plansCollection.findOne({ _id: new ObjectId(planId) });
-		if (!plan) {
+		const filter = { userEmail: req.decoded.email };
+		if (req.query.unread === 'true') {
+			filter.read = false;
+		}
+		if (req.query.category) {
+			filter.category = req.query.category;
+		}
+
+		const { error, ...page } = await findPage(notificationsCollection, filter, 'createdAt', req.query);
+		if (error) {
 			return res.status(400).json({
 				success: false,
-				message: 'Invalid plan selected',
+				message: error,
 			});
 		}
 
-		// Convert duration to minutes based on unit
-		const durationInMinutes =
-			plan.duration *
-			(plan.durationUnit === 'minute'
-				? 1
-				: plan.durationUnit === 'days'
-				? 24 * 60
-				: plan.durationUnit === 'months'
-				? 30 * 24 * 60
-				: 0);
+		res.json({
+			success: true,
+			...page,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching notifications',
+		});
+	}
+});
 
-		const session = await stripe.checkout.sessions.create({
-			payment_method_types: ['card'],
-			line_items: [
-				{
-					price_data: {
-						currency: 'usd',
-						product_data: {
-							name: `${plan.name} - ${plan.duration} ${plan.durationUnit}`,
-							description: plan.description,
-						},
-						unit_amount: Math.round(plan.price * 100), // Convert to cents
-					},
-					quantity: 1,
-				},
-			],
-			mode: 'payment',
-			success_url: `${process.env.CLIENT_URL}/payment/success?session_id={CHECKOUT_SESSION_ID}`,
-			cancel_url: `${process.env.CLIENT_URL}/subscription`,
-			customer_email: email,
-			metadata: {
-				planId: plan.id,
-				duration: durationInMinutes.toString(),
-				planName: plan.name,
-			},
+//? Get the number of unread notifications
+app.get('/notifications/unread-count', verifyUser, async (req, res) => {
+	try {
+		const count = await notificationsCollection.countDocuments({ userEmail: req.decoded.email, read: false });
+
+		res.json({
+			success: true,
+			data: { count },
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching unread count',
 		});
+	}
+});
+
+//? Mark every notification read
+app.patch('/notifications/read-all', verifyUser, async (req, res) => {
+	try {
+		const result = await notificationsCollection.updateMany(
+			{ userEmail: req.decoded.email, read: false },
+			{ $set: { read: true, readAt: new Date() } }
+		);
 
 		res.json({
 			success: true,
-			sessionId: session.id,
+			message: 'All notifications marked as read',
+			data: { updated: result.modifiedCount },
 		});
 	} catch (error) {
-		console.error('Payment Intent Error:', error);
 		res.status(500).json({
 			success: false,
-			message: 'Error creating payment session',
+			message: 'Error updating notifications',
 		});
 	}
 });
 
-//? successful payment
-app.get('/payment/success', async (req, res) => {
+//? Mark a notification read
+app.patch('/notifications/:id/read', verifyUser, async (req, res) => {
 	try {
-		const session = await stripe.checkout.sessions.retrieve(req.query.session_id);
+		const result = await notificationsCollection.updateOne(
+			{ _id: new ObjectId(req.params.id), userEmail: req.decoded.email },
+			{ $set: { read: true, readAt: new Date() } }
+		);
+		if (result.matchedCount === 0) {
+			return res.status(404).json({
+				success: false,
+				message: 'Notification not found',
+			});
+		}
 
-		if (session.payment_status === 'paid') {
-			const payment = {
-				email: session.customer_email,
-				paymentId: session.payment_intent,
-				planId: session.metadata.planId,
-				planName: session.metadata.planName,
-				subscriptionTime: Number.parseInt(session.metadata.duration),
-				amount: session.amount_total,
-				createdAt: new Date(),
-				status: 'success',
-			};
+		res.json({
+			success: true,
+			message: 'Notification marked as read',
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error updating notification',
+		});
+	}
+});
 
-			await paymentsCollection.insertOne(payment);
+//? Get own notification preferences with every category and whether it's muted
+app.get('/notifications/preferences', verifyUser, async (req, res) => {
+	try {
+		const user = await usersCollection.findOne(
+			{ email: req.decoded.email },
+			{ projection: { notificationPreferences: 1 } }
+		);
+		const muted = user?.notificationPreferences?.muted || [];
 
-			// Update user subscription status
-			await usersCollection.updateOne(
-				{ email: session.customer_email },
-				{
-					$set: {
-						hasSubscription: true,
-						subscriptionEnd: new Date(Date.now() + Number.parseInt(session.metadata.duration) * 60 * 1000),
-					},
-				}
-			);
+		res.json({
+			success: true,
+			data: Object.entries(NOTIFICATION_CATEGORIES).map(([category, description]) => ({
+				category,
+				description,
+				muted: muted.includes(category),
+			})),
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching notification preferences',
+		});
+	}
+});
 
-			res.json({
-				success: true,
-				message: 'Payment processed successfully',
+//? Set which notification categories are muted
+app.put('/notifications/preferences', verifyUser, async (req, res) => {
+	try {
+		const { muted } = req.body;
+		if (!Array.isArray(muted) || !muted.every((category) => NOTIFICATION_CATEGORIES[category])) {
+			return res.status(400).json({
+				success: false,
+				message: `muted must be a list of: ${Object.keys(NOTIFICATION_CATEGORIES).join(', ')}`,
 			});
-		} else {
-			throw new Error('Payment not successful');
 		}
+
+		await usersCollection.updateOne(
+			{ email: req.decoded.email },
+			{ $set: { 'notificationPreferences.muted': [...new Set(muted)], updated_at: new Date() } }
+		);
+
+		res.json({
+			success: true,
+			message: 'Notification preferences updated',
+		});
 	} catch (error) {
-		console.error('Payment Success Error:', error);
 		res.status(500).json({
 			success: false,
-			message: 'Error processing payment',
+			message: 'Error updating notification preferences',
 		});
 	}
 });
 
-//? Get plans
-app.get('/plans', async (req, res) => {
+// NOTE: EMAIL OUTBOX
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Knowledge Herald <no-reply@knowledge-herald.web.app>';
+const EMAIL_MAX_ATTEMPTS = 5;
+//? First retry after a minute, then four times longer each time
+const EMAIL_RETRY_BASE_MS = 60 * 1000;
+//? How long a send may take before another worker can pick the message up again
+const EMAIL_SEND_TIMEOUT_MS = 5 * 60 * 1000;
+
+//? Ways of delivering mail, picked with EMAIL_TRANSPORT. `console` and `file` are for development and tests,
+//? without one mail stays queued and is sent once a transport is configured
+const EMAIL_TRANSPORTS = {
+	smtp: () => {
+		const transporter = nodemailer.createTransport({
+			host: process.env.SMTP_HOST,
+			port: Number(process.env.SMTP_PORT) || 587,
+			secure: process.env.SMTP_SECURE === 'true',
+			auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+		});
+		return {
+			send: async (message) => {
+				const info = await transporter.sendMail(message);
+				return { messageId: info.messageId };
+			},
+		};
+	},
+	file: () => {
+		const path = process.env.EMAIL_FILE_PATH || 'emails.log';
+		return {
+			send: async (message) => {
+				const messageId = `<${crypto.randomUUID()}@file>`;
+				await fs.promises.appendFile(path, `${JSON.stringify({ messageId, ...message, date: new Date() })}\n`);
+				return { messageId };
+			},
+		};
+	},
+	console: () => ({
+		send: async (message) => {
+			console.log(`Email to ${message.to}: ${message.subject}\n${message.text}`);
+			return { messageId: `<${crypto.randomUUID()}@console>` };
+		},
+	}),
+};
+
+let emailTransport = null;
+let warnedNoEmailTransport = false;
+const getEmailTransport = () => {
+	if (!emailTransport) {
+		const name = process.env.EMAIL_TRANSPORT;
+		if (!name) {
+			if (!warnedNoEmailTransport) {
+				console.warn('EMAIL_TRANSPORT is not set, emails stay queued until it is');
+				warnedNoEmailTransport = true;
+			}
+			return null;
+		}
+		if (!EMAIL_TRANSPORTS[name]) {
+			throw new Error(`Unknown email transport: ${name}`);
+		}
+		emailTransport = EMAIL_TRANSPORTS[name]();
+	}
+	return emailTransport;
+};
+
+//? Format an amount in cents as dollars
+const formatAmount = (cents) => `$${((cents || 0) / 100).toFixed(2)}`;
+
+//? Wrap email body paragraphs, already escaped, in the shared layout
+const renderEmailLayout = (paragraphs) =>
+	`<div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto;color:#1f2937">` +
+	paragraphs.map((paragraph) => `<p style="line-height:1.5">${paragraph}</p>`).join('') +
+	`<p style="color:#6b7280;font-size:12px">Knowledge Herald</p></div>`;
+
+//? Email templates, each gets the data it was queued with and returns the subject, text and HTML
+const EMAIL_TEMPLATES = {
+	payment_receipt: ({ name, planName, amount, discount, promoCode, periodStart, periodEnd, receiptUrl }) => {
+		const lines = [
+			`Hi ${name || 'there'},`,
+			`Thank you for your payment of ${formatAmount(amount)} for ${planName}.`,
+			...(discount
+				? [`${promoCode ? `Promo code ${promoCode}` : 'Your discount'} saved you ${formatAmount(discount)}.`]
+				: []),
+			`Your premium access runs from ${periodStart.split('T')[0]} to ${periodEnd.split('T')[0]}.`,
+		];
+		return {
+			subject: `Your receipt for ${planName}`,
+			text: [...lines, ...(receiptUrl ? [`Receipt: ${receiptUrl}`] : [])].join('\n\n'),
+			html: renderEmailLayout([
+				...lines.map(escapeHtml),
+				...(receiptUrl ? [`<a href="${escapeHtml(receiptUrl)}">View your receipt</a>`] : []),
+			]),
+		};
+	},
+	article_declined: ({ name, title, reason }) => {
+		const link = `${process.env.CLIENT_URL}/my-articles`;
+		const lines = [
+			`Hi ${name || 'there'},`,
+			`Your article "${title}" was not approved.`,
+			`Reason: ${reason}`,
+			'You can update the article and resubmit it for review.',
+		];
+		return {
+			subject: `Your article "${title}" was declined`,
+			text: [...lines, link].join('\n\n'),
+			html: renderEmailLayout([...lines.map(escapeHtml), `<a href="${escapeHtml(link)}">Go to my articles</a>`]),
+		};
+	},
+	support_reply: ({ name, subject, reply, staffName }) => {
+		const lines = [`Hi ${name},`, reply, `${staffName || 'The Knowledge Herald team'}`];
+		return {
+			subject: `Re: ${subject}`,
+			text: lines.join('\n\n'),
+			html: renderEmailLayout(lines.map((line) => escapeHtml(line).replace(/\n/g, '<br>'))),
+		};
+	},
+	contact_confirmation: ({ name }) => {
+		const lines = [`Hi ${name || 'there'},`, 'We received your message and will get back to you as soon as we can.'];
+		return {
+			subject: 'We received your message',
+			text: lines.join('\n\n'),
+			html: renderEmailLayout(lines.map(escapeHtml)),
+		};
+	},
+};
+
+//? Template data for a payment receipt, dates as strings so they survive being stored
+const paymentReceiptData = async (payment) => ({
+	name: (await usersCollection.findOne({ email: payment.email }, { projection: { name: 1 } }))?.name || null,
+	planName: payment.planName,
+	amount: payment.amount,
+	discount: payment.discount || 0,
+	promoCode: payment.promoCode || null,
+	periodStart: new Date(payment.periodStart).toISOString(),
+	periodEnd: new Date(payment.periodEnd).toISOString(),
+});
+
+//? Try to deliver one message, claimed first so the scheduler and a direct send never both send it
+const deliverEmail = async (id) => {
+	const transport = getEmailTransport();
+	if (!transport) {
+		return;
+	}
+
+	const now = new Date();
+	const email = await emailOutboxCollection.findOneAndUpdate(
+		{
+			_id: id,
+			$or: [
+				{ status: 'pending', nextAttemptAt: { $lte: now } },
+				{ status: 'sending', lockedUntil: { $lte: now } },
+			],
+		},
+		{
+			$set: { status: 'sending', lockedUntil: new Date(now.getTime() + EMAIL_SEND_TIMEOUT_MS) },
+			$inc: { attempts: 1 },
+		},
+		{ returnDocument: 'after' }
+	);
+	if (!email) {
+		return;
+	}
+
 	try {
-		const plans = await plansCollection.find().toArray();
-		res.json({ success: true, data: plans });
+		const { messageId } = await transport.send({
+			from: EMAIL_FROM,
+			to: email.to,
+			subject: email.subject,
+			text: email.text,
+			html: email.html,
+		});
+		await emailOutboxCollection.updateOne(
+			{ _id: email._id },
+			{ $set: { status: 'sent', sentAt: new Date(), messageId, lastError: null }, $unset: { lockedUntil: '' } }
+		);
 	} catch (error) {
-		res.status(500).json({ success: false, message: 'Error fetching plans' });
+		const failed = email.attempts >= EMAIL_MAX_ATTEMPTS;
+		await emailOutboxCollection.updateOne(
+			{ _id: email._id },
+			{
+				$set: {
+					status: failed ? 'failed' : 'pending',
+					lastError: error.message,
+					nextAttemptAt: failed ? null : new Date(Date.now() + EMAIL_RETRY_BASE_MS * 4 ** (email.attempts - 1)),
+				},
+				$unset: { lockedUntil: '' },
+			}
+		);
 	}
-});
+};
 
-// NOTE: All API RELATED TO INTERACTING WITH ARTICLES
+//? Render a template into the outbox and try to send it right away. A `key` makes queueing idempotent,
+//? the same key is only ever sent once. Never throws, mail trouble must not fail the action that sends it
+const queueEmail = async (to, template, data, { key } = {}) => {
+	try {
+		if (!to) {
+			return;
+		}
 
-//? Increase View on visit
-app.post('/articles/:id/view', async (req, res) => {
+		const { subject, text, html } = EMAIL_TEMPLATES[template](data);
+		await ensureIndex(emailOutboxCollection, { status: 1, nextAttemptAt: 1 });
+		await ensureIndex(
+			emailOutboxCollection,
+			{ key: 1 },
+			{ unique: true, partialFilterExpression: { key: { $type: 'string' } } }
+		);
+
+		const now = new Date();
+		const result = await emailOutboxCollection.insertOne({
+			...(key && { key }),
+			to,
+			template,
+			data,
+			subject,
+			text,
+			html,
+			status: 'pending',
+			attempts: 0,
+			nextAttemptAt: now,
+			lastError: null,
+			createdAt: now,
+		});
+
+		deliverEmail(result.insertedId).catch((error) => console.error('Email Error:', error));
+	} catch (error) {
+		if (error.code !== 11000) {
+			console.error('Email Error:', error);
+		}
+	}
+};
+
+//? Send the messages that are due, including retries and sends that were cut off
+const sendQueuedEmails = async () => {
+	if (!getEmailTransport()) {
+		return;
+	}
+
+	const now = new Date();
+	const due = await emailOutboxCollection
+		.find({
+			$or: [
+				{ status: 'pending', nextAttemptAt: { $lte: now } },
+				{ status: 'sending', lockedUntil: { $lte: now } },
+			],
+		})
+		.project({ _id: 1 })
+		.sort({ nextAttemptAt: 1 })
+		.limit(20)
+		.toArray();
+
+	for (const email of due) {
+		await deliverEmail(email._id);
+	}
+};
+
+//? Get the outbox, failed messages with status=failed
+app.get('/admin/emails', verifyUser, requirePermission('emails:manage'), async (req, res) => {
 	try {
-		await articlesCollection.updateOne({ _id: new ObjectId(req.params.id) }, { $inc: { views: 1 } });
+		const filter = {};
+		if (req.query.status) {
+			filter.status = req.query.status;
+		}
+		if (req.query.to) {
+			filter.to = req.query.to;
+		}
+
+		const { error, ...page } = await findPage(emailOutboxCollection, filter, 'createdAt', req.query, {
+			projection: { html: 0 },
+		});
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error,
+			});
+		}
 
 		res.json({
 			success: true,
-			message: 'View count updated',
+			...page,
 		});
 	} catch (error) {
 		res.status(500).json({
 			success: false,
-			message: 'Error updating view count',
+			message: 'Error fetching emails',
 		});
 	}
 });
 
-//? Get Comments
-app.get('/articles/:id/comments', verifyUser, async (req, res) => {
+//? Get one outbox message with its HTML
+app.get('/admin/emails/:id', verifyUser, requirePermission('emails:manage'), async (req, res) => {
 	try {
-		const comments = await commentsCollection.find({ articleId: req.params.id }).sort({ createdAt: -1 }).toArray();
+		const email = await emailOutboxCollection.findOne({ _id: new ObjectId(req.params.id) });
+		if (!email) {
+			return res.status(404).json({
+				success: false,
+				message: 'Email not found',
+			});
+		}
 
 		res.json({
 			success: true,
-			data: comments,
+			data: email,
 		});
 	} catch (error) {
 		res.status(500).json({
 			success: false,
-			message: 'Error fetching comments',
+			message: 'Error fetching email',
 		});
 	}
 });
 
-//? Add comment
-app.post('/articles/:id/comments', verifyUser, async (req, res) => {
+//? Resend a failed message, it gets a fresh set of attempts
+app.post('/admin/emails/:id/resend', verifyUser, requirePermission('emails:manage'), async (req, res) => {
 	try {
-		const comment = {
-			...req.body,
-			createdAt: new Date(),
-		};
-
-		const result = await commentsCollection.insertOne(comment);
-
-		// Update article rating
-		const comments = await commentsCollection.find({ articleId: req.params.id }).toArray();
-
-		const totalRating = comments.reduce((sum, comment) => sum + comment.rating, 0);
-		const averageRating = totalRating / comments.length;
+		const result = await emailOutboxCollection.updateOne(
+			{ _id: new ObjectId(req.params.id), status: 'failed' },
+			{
+				$set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), resentBy: req.user.email },
+			}
+		);
+		if (result.matchedCount === 0) {
+			return res.status(404).json({
+				success: false,
+				message: 'Failed email not found',
+			});
+		}
 
-		await articlesCollection.updateOne({ _id: new ObjectId(req.params.id) }, { $set: { averageRating } });
+		await deliverEmail(new ObjectId(req.params.id));
+		const email = await emailOutboxCollection.findOne(
+			{ _id: new ObjectId(req.params.id) },
+			{ projection: { status: 1, attempts: 1, lastError: 1, sentAt: 1 } }
+		);
 
 		res.json({
 			success: true,
-			message: 'Comment added successfully',
-			data: result,
+			message: email.status === 'sent' ? 'Email sent' : 'Email queued for retry',
+			data: email,
 		});
 	} catch (error) {
 		res.status(500).json({
 			success: false,
-			message: 'Error adding comment',
+			message: 'Error resending email',
 		});
 	}
 });
@@ -1059,7 +6495,7 @@ app.get('/stats', async (req, res) => {
 });
 
 //? Get Admin Stats
-app.get('/admin/stats', verifyUser, verifyAdmin, async (req, res) => {
+app.get('/admin/stats', verifyUser, requirePermission('stats:view'), async (req, res) => {
 	try {
 		// Get basic stats
 		const [totalUsers, totalArticles, premiumArticles, totalPublishers, totalViews, totalComments, totalRatings] =
@@ -1069,25 +6505,39 @@ app.get('/admin/stats', verifyUser, verifyAdmin, async (req, res) => {
 				articlesCollection.countDocuments({ status: 'approved', isPremium: true }),
 				publishersCollection.countDocuments(),
 				articlesCollection.aggregate([{ $group: { _id: null, total: { $sum: '$views' } } }]).toArray(),
-				commentsCollection.countDocuments(),
-				commentsCollection.countDocuments({ rating: { $exists: true } }),
+				commentsCollection.countDocuments({ deleted: { $ne: true } }),
+				ratingsCollection.countDocuments(),
 			]);
 
+		// Grouped on the publisher id however it is stored, not all articles have a publisherName
 		const publicationDistribution = await articlesCollection
 			.aggregate([
 				{
 					$group: {
-						_id: '$publisherName',
+						_id: { $convert: { input: '$publisher', to: 'objectId', onError: null, onNull: null } },
 						count: { $sum: 1 },
+						publisherName: { $first: '$publisherName' },
+					},
+				},
+				{
+					$lookup: {
+						from: 'publishers',
+						localField: '_id',
+						foreignField: '_id',
+						as: 'publisher',
 					},
 				},
 				{
 					$project: {
 						_id: 0,
-						name: '$_id',
+						publisherId: '$_id',
+						name: { $ifNull: [{ $first: '$publisher.name' }, { $ifNull: ['$publisherName', 'Unknown'] }] },
 						count: 1,
 					},
 				},
+				{
+					$sort: { count: -1 },
+				},
 			])
 			.toArray();
 
@@ -1112,173 +6562,220 @@ app.get('/admin/stats', verifyUser, verifyAdmin, async (req, res) => {
 	}
 });
 
-app.get('/user-stats', verifyUser, async (req, res) => {
-	try {
-		const { email } = req.query;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+//? The analytics period from `from`/`to` (YYYY-MM-DD, UTC days, both included), the last 30 days by default
+const parseStatsRange = (query) => {
+	const parseDay = (value) => {
+		const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+		return date && !Number.isNaN(date.getTime()) ? date : null;
+	};
+
+	const today = new Date();
+	today.setUTCHours(0, 0, 0, 0);
+	const to = query.to ? parseDay(query.to) : today;
+	const from = query.from ? parseDay(query.from) : to && new Date(to.getTime() - 29 * DAY_MS);
+	if (!from || !to || from > to) {
+		return { error: 'from and to must be dates (YYYY-MM-DD) with from not after to' };
+	}
 
-		if (!email) {
-			return res.status(400).json({
-				success: false,
-				message: 'Email is required',
-			});
-		}
+	const days = Math.round((to - from) / DAY_MS) + 1;
+	if (days > 366) {
+		return { error: 'The date range can cover at most 366 days' };
+	}
+	return { start: from, end: new Date(to.getTime() + DAY_MS), days };
+};
 
-		// Get the date 30 days ago
-		const thirtyDaysAgo = new Date();
-		thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-		thirtyDaysAgo.setHours(0, 0, 0, 0);
+//? Daily, per article and overall totals of the `fields` accumulators. With `distinct`, each group is first
+//? collapsed to one entry per distinct value of that expression, so `{ $sum: 1 }` counts them
+const summarizeActivity = async (collection, match, dateField, articleField, fields, { distinct } = {}) => {
+	// Grouping on the value first keeps the distinct values out of a single array that could outgrow a document
+	const group = (_id) =>
+		distinct
+			? [{ $group: { _id: { key: _id, value: distinct } } }, { $group: { _id: '$_id.key', ...fields } }]
+			: [{ $group: { _id, ...fields } }];
+
+	const [result] = await collection
+		.aggregate([
+			{ $match: match },
+			{
+				$facet: {
+					daily: group({ $dateToString: { format: '%Y-%m-%d', date: dateField } }),
+					byArticle: group({ $toString: articleField }),
+					total: group(null),
+				},
+			},
+		])
+		.toArray();
+
+	return {
+		daily: new Map(result.daily.map(({ _id, ...item }) => [_id, item])),
+		byArticle: new Map(result.byArticle.map(({ _id, ...item }) => [_id, item])),
+		total: result.total[0] || {},
+	};
+};
 
-		// Generate an array of the last 30 days
-		const last30Days = Array.from({ length: 30 }, (_, i) => {
-			const date = new Date();
-			date.setDate(date.getDate() - i);
-			date.setHours(0, 0, 0, 0);
-			return date;
-		}).reverse();
+//? One activity record out of the matching entries of each summary
+const toActivity = (...items) => {
+	const item = Object.assign({}, ...items);
+	return {
+		views: item.views || 0,
+		uniqueViews: item.uniqueViews || 0,
+		readers: item.readers || 0,
+		comments: item.comments || 0,
+		ratings: item.ratings || 0,
+		averageRating: item.averageRating ? Math.round(item.averageRating * 100) / 100 : null,
+		posts: item.posts || 0,
+	};
+};
 
-		// Get views data aggregated by day
-		const viewsData = await articlesCollection
-			.aggregate([
-				{
-					$match: {
-						authorEmail: email,
-						// createdAt: { $gte: thirtyDaysAgo },
-					},
-				},
-				{
-					$group: {
-						// _id: {
-						// 	$dateToString: {
-						// 		format: '%Y-%m-%d',
-						// 		date: '$createdAt',
-						// 	},
-						// },
-						_id: new ObjectId(),
-						views: { $sum: '$views' },
-					},
-				},
-				// {
-				// 	$sort: { _id: 1 },
-				// },
-			])
-			.toArray();
+//? Views, readers, comments, ratings and new posts of a set of articles within [start, end)
+const getArticleActivity = async (articleIds, start, end) => {
+	// Comments reference their article by the string id
+	const articleIdStrings = articleIds.map(String);
+
+	const summaries = await Promise.all([
+		summarizeActivity(
+			articleViewsCollection,
+			{ articleId: { $in: articleIds }, bucket: { $gte: start, $lt: end } },
+			'$bucket',
+			'$articleId',
+			{ views: { $sum: '$views' }, uniqueViews: { $sum: { $ifNull: ['$uniqueViews', 0] } } }
+		),
+		summarizeActivity(
+			articleReadersCollection,
+			{ articleId: { $in: articleIds }, day: { $gte: start, $lt: end } },
+			'$day',
+			'$articleId',
+			{ readers: { $sum: 1 } },
+			{ distinct: '$viewerKey' }
+		),
+		summarizeActivity(
+			commentsCollection,
+			{ articleId: { $in: articleIdStrings }, createdAt: { $gte: start, $lt: end }, deleted: { $ne: true } },
+			'$createdAt',
+			'$articleId',
+			{ comments: { $sum: 1 } }
+		),
+		summarizeActivity(
+			ratingsCollection,
+			{ articleId: { $in: articleIds }, updatedAt: { $gte: start, $lt: end } },
+			'$updatedAt',
+			'$articleId',
+			{ ratings: { $sum: 1 }, averageRating: { $avg: '$rating' } }
+		),
+		summarizeActivity(
+			articlesCollection,
+			{ _id: { $in: articleIds }, createdAt: { $gte: start, $lt: end } },
+			'$createdAt',
+			'$_id',
+			{ posts: { $sum: 1 } }
+		),
+	]);
+
+	return {
+		daily: (date) => toActivity(...summaries.map((summary) => summary.daily.get(date))),
+		article: (id) => toActivity(...summaries.map((summary) => summary.byArticle.get(id.toString()))),
+		total: toActivity(...summaries.map((summary) => summary.total)),
+	};
+};
 
-		// Create a map of date to views
-		const viewsMap = new Map(viewsData.map((item) => [item._id, item.views]));
-		console.log(viewsData);
-		// Fill in missing dates with zero views
-		const filledViewsData = last30Days.map((date) => ({
-			date: date.toISOString().split('T')[0],
-			views: viewsMap.get(date.toISOString().split('T')[0]) || 0,
-		}));
-
-		// Get posts data aggregated by day
-		const postsData = await articlesCollection
-			.aggregate([
-				{
-					$match: {
-						authorEmail: email,
-						createdAt: { $gte: thirtyDaysAgo },
-					},
-				},
-				{
-					$group: {
-						_id: {
-							$dateToString: {
-								format: '%Y-%m-%d',
-								date: '$createdAt',
-							},
-						},
-						posts: { $sum: 1 },
-					},
-				},
-				{
-					$sort: { _id: 1 },
-				},
-			])
-			.toArray();
+//? Percent change from the previous period, null when there is nothing to compare against
+const periodGrowth = (current, previous) => (previous ? Math.round(((current - previous) / previous) * 100) : null);
 
-		// Create a map of date to posts
-		const postsMap = new Map(postsData.map((item) => [item._id, item.posts]));
+//? Get an author's dashboard stats, authors see their own and admins anyone's
+app.get('/user-stats', verifyUser, async (req, res) => {
+	try {
+		const email = req.query.email || req.decoded.email;
+		if (email !== req.decoded.email) {
+			const user = await usersCollection.findOne({ email: req.decoded.email });
+			if (!hasPermission(user, 'stats:view')) {
+				return res.status(403).json({
+					success: false,
+					message: 'Forbidden Access',
+				});
+			}
+		}
 
-		// Fill in missing dates with zero posts
-		const filledPostsData = last30Days.map((date) => ({
-			date: date.toISOString().split('T')[0],
-			posts: postsMap.get(date.toISOString().split('T')[0]) || 0,
-		}));
+		const range = parseStatsRange(req.query);
+		if (range.error) {
+			return res.status(400).json({
+				success: false,
+				message: range.error,
+			});
+		}
 
-		// Get total stats
-		const stats = await articlesCollection
-			.aggregate([
-				{
-					$match: { authorEmail: email },
-				},
-				{
-					$group: {
-						_id: null,
-						totalPosts: { $sum: 1 },
-						totalViews: { $sum: '$views' },
-						averageRating: { $avg: '$averageRating' },
-					},
-				},
-			])
+		const articleFilter = { authorEmail: email };
+		if (req.query.articleId) {
+			if (!ObjectId.isValid(req.query.articleId)) {
+				return res.status(400).json({
+					success: false,
+					message: 'Invalid articleId',
+				});
+			}
+			articleFilter._id = new ObjectId(req.query.articleId);
+		}
+		const articles = await articlesCollection
+			.find(articleFilter)
+			.project({ title: 1, image: 1, status: 1, createdAt: 1, views: 1, uniqueViews: 1, averageRating: 1 })
+			.sort({ createdAt: -1 })
 			.toArray();
 
-		// Calculate growth percentages
-		const previousMonthStats = await articlesCollection
-			.aggregate([
-				{
-					$match: {
-						authorEmail: email,
-						createdAt: {
-							$gte: new Date(new Date().setDate(new Date().getDate() - 60)),
-							$lt: thirtyDaysAgo,
-						},
-					},
-				},
-				{
-					$group: {
-						_id: null,
-						previousViews: { $sum: '$views' },
-						previousPosts: { $sum: 1 },
-					},
-				},
-			])
-			.toArray();
+		if (req.query.articleId && articles.length === 0) {
+			return res.status(404).json({
+				success: false,
+				message: 'Article not found',
+			});
+		}
 
-		const currentStats = stats[0] || { totalPosts: 0, totalViews: 0, averageRating: 0 };
-		const previousStats = previousMonthStats[0] || { previousViews: 0, previousPosts: 0 };
+		// The previous period is the same number of days right before this one
+		const articleIds = articles.map((article) => article._id);
+		const previousStart = new Date(range.start.getTime() - range.days * DAY_MS);
+		const [current, previous] = await Promise.all([
+			getArticleActivity(articleIds, range.start, range.end),
+			getArticleActivity(articleIds, previousStart, range.start),
+		]);
 
-		const viewsGrowth = previousStats.previousViews
-			? ((currentStats.totalViews - previousStats.previousViews) / previousStats.previousViews) * 100
-			: 0;
+		const daily = Array.from({ length: range.days }, (_, i) => {
+			const date = new Date(range.start.getTime() + i * DAY_MS).toISOString().split('T')[0];
+			return { date, ...current.daily(date) };
+		});
 
-		const postsGrowth = previousStats.previousPosts
-			? ((currentStats.totalPosts - previousStats.previousPosts) / previousStats.previousPosts) * 100
+		// Like $avg over the articles, those without ratings don't count towards the average
+		const ratedArticles = articles.filter((article) => typeof article.averageRating === 'number');
+		const averageRating = ratedArticles.length
+			? ratedArticles.reduce((sum, article) => sum + article.averageRating, 0) / ratedArticles.length
+			: articles.length
+			? null
 			: 0;
 
-		// Get articles with views
-		const articles = await articlesCollection
-			.find({ authorEmail: email })
-			.project({
-				title: 1,
-				views: 1,
-				createdAt: 1,
-				image: 1,
-			})
-			.sort({ views: -1 })
-			.limit(6)
-			.toArray();
+		const growth = Object.fromEntries(
+			['views', 'uniqueViews', 'readers', 'comments', 'ratings', 'posts'].map((field) => [
+				field,
+				periodGrowth(current.total[field], previous.total[field]),
+			])
+		);
 
 		res.json({
 			success: true,
 			stats: {
-				...currentStats,
-				viewsGrowth: Math.round(viewsGrowth),
-				postsGrowth: Math.round(postsGrowth),
-				viewsData: filledViewsData,
-				postsData: filledPostsData,
-				articles,
+				from: range.start.toISOString().split('T')[0],
+				to: new Date(range.end.getTime() - DAY_MS).toISOString().split('T')[0],
+				totalPosts: articles.length,
+				totalViews: articles.reduce((sum, article) => sum + (article.views || 0), 0),
+				totalUniqueViews: articles.reduce((sum, article) => sum + (article.uniqueViews || 0), 0),
+				averageRating,
+				period: current.total,
+				previousPeriod: previous.total,
+				growth,
+				viewsGrowth: growth.views,
+				postsGrowth: growth.posts,
+				daily,
+				viewsData: daily.map(({ date, views, uniqueViews, readers }) => ({ date, views, uniqueViews, readers })),
+				postsData: daily.map(({ date, posts }) => ({ date, posts })),
+				articles: articles
+					.map((article) => ({ ...article, period: current.article(article._id) }))
+					.sort((a, b) => b.period.views - a.period.views),
 			},
 		});
 	} catch (error) {
@@ -1312,14 +6809,28 @@ app.post('/contact', async (req, res) => {
 			});
 		}
 
+		// Messages sent while logged in are linked to the sender's account
+		const decoded = await decodeOptionalToken(req);
+		const user = decoded
+			? await usersCollection.findOne({ email: decoded.email }, { projection: { _id: 1, name: 1 } })
+			: null;
+
 		// Create contact message document
+		const now = new Date();
 		const contactMessage = {
 			name,
 			email,
 			subject,
 			message,
-			createdAt: new Date(),
+			createdAt: now,
 			status: 'unread',
+			userId: user?._id || null,
+			userEmail: user ? decoded.email : null,
+			assignedTo: null,
+			notes: [],
+			replies: [],
+			replyCount: 0,
+			lastActivityAt: now,
 		};
 
 		// Insert into database
@@ -1329,6 +6840,11 @@ app.post('/contact', async (req, res) => {
 			throw new Error('Failed to save contact message');
 		}
 
+		// Only confirm to the sender's own account, anyone can type any address into the form
+		if (user && decoded.email === email) {
+			await queueEmail(email, 'contact_confirmation', { name: user.name || null });
+		}
+
 		res.status(201).json({
 			success: true,
 			message: 'Message sent successfully',
@@ -1341,12 +6857,60 @@ app.post('/contact', async (req, res) => {
 		});
 	}
 });
-app.get('/messages', async (req, res) => {
+// NOTE: SUPPORT INBOX
+const SUPPORT_MESSAGE_STATUSES = ['unread', 'read', 'archived'];
+
+//? Load a contact message for the inbox routes
+const getSupportMessage = async (req, res) => {
+	const message = await contactCollection.findOne({ _id: new ObjectId(req.params.id) });
+	if (!message) {
+		res.status(404).json({
+			success: false,
+			message: 'Message not found',
+		});
+	}
+	return message;
+};
+
+//? Get the support inbox, newest first, filtered by status, assignee and a search over sender, subject and message
+app.get('/admin/messages', verifyUser, requirePermission('support:manage'), async (req, res) => {
 	try {
-		const messages = await contactCollection.find({}).sort({ createdAt: -1 }).toArray();
+		const { status, assignedTo, search } = req.query;
+		const filter = {};
+
+		if (status) {
+			if (!SUPPORT_MESSAGE_STATUSES.includes(status)) {
+				return res.status(400).json({
+					success: false,
+					message: `Status must be one of: ${SUPPORT_MESSAGE_STATUSES.join(', ')}`,
+				});
+			}
+			filter.status = status;
+		}
+		if (assignedTo) {
+			filter['assignedTo.email'] = assignedTo === 'none' ? null : assignedTo === 'me' ? req.user.email : assignedTo;
+		}
+		if (search?.trim()) {
+			const pattern = { $regex: escapeRegex(search.trim().slice(0, 100)), $options: 'i' };
+			filter.$or = [{ name: pattern }, { email: pattern }, { subject: pattern }, { message: pattern }];
+		}
+
+		const { error, ...page } = await findPage(contactCollection, filter, 'createdAt', req.query, {
+			projection: { notes: 0, replies: 0 },
+		});
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error,
+			});
+		}
+
+		const unread = await contactCollection.countDocuments({ status: 'unread' });
+
 		res.json({
 			success: true,
-			data: messages,
+			...page,
+			unread,
 		});
 	} catch (error) {
 		console.error('Get Contact Messages Error:', error);
@@ -1356,21 +6920,49 @@ app.get('/messages', async (req, res) => {
 		});
 	}
 });
-app.patch('/:id', async (req, res) => {
+
+//? Get a message with its notes and replies, opening an unread message marks it read
+app.get('/admin/messages/:id', verifyUser, requirePermission('support:manage'), async (req, res) => {
 	try {
-		const { id } = req.params;
-		const { status } = req.body;
+		const message = await getSupportMessage(req, res);
+		if (!message) {
+			return;
+		}
+
+		if (message.status === 'unread') {
+			await contactCollection.updateOne({ _id: message._id, status: 'unread' }, { $set: { status: 'read' } });
+			message.status = 'read';
+		}
+
+		const user = message.userId
+			? await usersCollection.findOne({ _id: message.userId }, { projection: { name: 1, email: 1, photo: 1, role: 1 } })
+			: null;
+
+		res.json({
+			success: true,
+			data: { ...message, user },
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error fetching contact message',
+		});
+	}
+});
 
-		if (!['read', 'unread', 'archived'].includes(status)) {
+//? Set a message's status
+app.patch('/admin/messages/:id/status', verifyUser, requirePermission('support:manage'), async (req, res) => {
+	try {
+		const { status } = req.body;
+		if (!SUPPORT_MESSAGE_STATUSES.includes(status)) {
 			return res.status(400).json({
 				success: false,
 				message: 'Invalid status',
 			});
 		}
 
-		const result = await contactCollection.updateOne({ _id: new ObjectId(id) }, { $set: { status } });
-
-		if (result.modifiedCount === 0) {
+		const result = await contactCollection.updateOne({ _id: new ObjectId(req.params.id) }, { $set: { status } });
+		if (result.matchedCount === 0) {
 			return res.status(404).json({
 				success: false,
 				message: 'Message not found',
@@ -1390,22 +6982,273 @@ app.patch('/:id', async (req, res) => {
 	}
 });
 
+//? Assign a message to a staff member, or unassign it with null
+app.patch('/admin/messages/:id/assign', verifyUser, requirePermission('support:manage'), async (req, res) => {
+	try {
+		let assignedTo = null;
+		if (req.body.assignee) {
+			const assignee = await usersCollection.findOne({ email: req.body.assignee });
+			if (!hasPermission(assignee, 'support:manage')) {
+				return res.status(400).json({
+					success: false,
+					message: 'Messages can only be assigned to support staff',
+				});
+			}
+			assignedTo = { email: assignee.email, name: assignee.name || null, assignedAt: new Date() };
+		}
+
+		const result = await contactCollection.updateOne(
+			{ _id: new ObjectId(req.params.id) },
+			{ $set: { assignedTo, lastActivityAt: new Date() } }
+		);
+		if (result.matchedCount === 0) {
+			return res.status(404).json({
+				success: false,
+				message: 'Message not found',
+			});
+		}
+
+		res.json({
+			success: true,
+			message: assignedTo ? `Message assigned to ${assignedTo.name || assignedTo.email}` : 'Message unassigned',
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error assigning message',
+		});
+	}
+});
+
+//? Add an internal note, only staff see notes
+app.post('/admin/messages/:id/notes', verifyUser, requirePermission('support:manage'), async (req, res) => {
+	try {
+		const text = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+		if (!text || text.length > 5000) {
+			return res.status(400).json({
+				success: false,
+				message: 'Note must be between 1 and 5000 characters',
+			});
+		}
+
+		const note = {
+			_id: new ObjectId(),
+			authorEmail: req.user.email,
+			authorName: req.user.name || null,
+			note: text,
+			createdAt: new Date(),
+		};
+		const result = await contactCollection.updateOne(
+			{ _id: new ObjectId(req.params.id) },
+			{ $push: { notes: note }, $set: { lastActivityAt: note.createdAt } }
+		);
+		if (result.matchedCount === 0) {
+			return res.status(404).json({
+				success: false,
+				message: 'Message not found',
+			});
+		}
+
+		res.status(201).json({
+			success: true,
+			message: 'Note added',
+			data: note,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error adding note',
+		});
+	}
+});
+
+//? Reply to the sender, the reply is kept in the message's thread and emailed to them
+app.post('/admin/messages/:id/replies', verifyUser, requirePermission('support:manage'), async (req, res) => {
+	try {
+		const text = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+		if (!text || text.length > 10000) {
+			return res.status(400).json({
+				success: false,
+				message: 'Reply must be between 1 and 10000 characters',
+			});
+		}
+
+		const message = await getSupportMessage(req, res);
+		if (!message) {
+			return;
+		}
+
+		const reply = {
+			_id: new ObjectId(),
+			authorEmail: req.user.email,
+			authorName: req.user.name || null,
+			message: text,
+			createdAt: new Date(),
+		};
+		await contactCollection.updateOne(
+			{ _id: message._id },
+			{
+				$push: { replies: reply },
+				$inc: { replyCount: 1 },
+				$set: { lastActivityAt: reply.createdAt, ...(message.status === 'unread' && { status: 'read' }) },
+			}
+		);
+
+		await queueEmail(
+			message.email,
+			'support_reply',
+			{ name: message.name, subject: message.subject, reply: text, staffName: reply.authorName },
+			{ key: `support-reply:${reply._id}` }
+		);
+
+		res.status(201).json({
+			success: true,
+			message: 'Reply sent',
+			data: reply,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			message: 'Error sending reply',
+		});
+	}
+});
+
+// NOTE: SCHEDULED JOBS
+const SCHEDULER_INTERVAL = Number(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+//? Flip approved articles live once their publish time has passed
+const publishScheduledArticles = async () => {
+	const due = await articlesCollection
+		.find({ status: 'approved', isPublished: false, publishAt: { $lte: new Date() } })
+		.project({ title: 1, authorEmail: 1 })
+		.toArray();
+	if (due.length === 0) {
+		return;
+	}
+
+	await articlesCollection.updateMany({ _id: { $in: due.map((article) => article._id) }, isPublished: false }, [
+		{ $set: { isPublished: true, publishedAt: '$publishAt' } },
+	]);
+	for (const article of due) {
+		await notify(article.authorEmail, 'articles', {
+			type: 'article_published',
+			title: 'Your article is live',
+			message: `"${article.title}" has been published.`,
+			data: { articleId: article._id },
+		});
+	}
+};
+
+//? How long before a subscription ends without renewing its owner is warned
+const SUBSCRIPTION_EXPIRY_NOTICE_DAYS = 3;
+
+//? Warn users whose access ends soon, and tell one-off pass holders when theirs has ended.
+//? Recurring subscriptions report their end through the Stripe webhook instead
+const notifySubscriptionExpiry = async () => {
+	await ensureIndex(usersCollection, { subscriptionEnd: 1 });
+	const now = new Date();
+	const expiring = await usersCollection
+		.find({
+			subscriptionEnd: { $gt: now, $lte: new Date(now.getTime() + SUBSCRIPTION_EXPIRY_NOTICE_DAYS * DAY_MS) },
+			$or: [{ subscriptionStatus: { $exists: false } }, { cancelAtPeriodEnd: true }, { cancelAt: { $ne: null } }],
+			$expr: { $ne: ['$subscriptionNotices.expiring', '$subscriptionEnd'] },
+		})
+		.project({ email: 1, subscriptionEnd: 1 })
+		.toArray();
+
+	for (const user of expiring) {
+		await usersCollection.updateOne(
+			{ _id: user._id },
+			{ $set: { 'subscriptionNotices.expiring': user.subscriptionEnd } }
+		);
+		await notify(user.email, 'subscription', {
+			type: 'subscription_expiring',
+			title: 'Your subscription ends soon',
+			message: `Your premium access ends on ${user.subscriptionEnd.toISOString().split('T')[0]}.`,
+			data: { subscriptionEnd: user.subscriptionEnd },
+		});
+	}
+
+	const expired = await usersCollection
+		.find({
+			subscriptionStatus: { $exists: false },
+			hasSubscription: true,
+			subscriptionEnd: { $lte: now },
+			$expr: { $ne: ['$subscriptionNotices.expired', '$subscriptionEnd'] },
+		})
+		.project({ email: 1, subscriptionEnd: 1 })
+		.toArray();
+
+	for (const user of expired) {
+		await usersCollection.updateOne(
+			{ _id: user._id },
+			{ $set: { 'subscriptionNotices.expired': user.subscriptionEnd } }
+		);
+		await notifySubscriptionExpired(user.email);
+	}
+};
+
+const scheduledJobs = [
+	{ name: 'publish scheduled articles', run: publishScheduledArticles },
+	{ name: 'notify expiring subscriptions', run: notifySubscriptionExpiry },
+	{ name: 'send queued emails', run: sendQueuedEmails },
+];
+
+//? Run every job, one failing job doesn't stop the others
+const runScheduledJobs = async () => {
+	const results = [];
+	for (const job of scheduledJobs) {
+		try {
+			await job.run();
+			results.push({ name: job.name, success: true });
+		} catch (error) {
+			console.error(`Scheduled job "${job.name}" failed:`, error);
+			results.push({ name: job.name, success: false });
+		}
+	}
+	return results;
+};
+
+//? Run the scheduled jobs on serverless deployments, where nothing runs between requests.
+//? Vercel Cron calls this (see vercel.json) with CRON_SECRET as a bearer token
+app.get('/cron/scheduled-jobs', async (req, res) => {
+	const token = req.headers.authorization?.split(' ')[1];
+	const secret = process.env.CRON_SECRET;
+	if (!secret || !token || !crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(hashToken(secret)))) {
+		return res.status(401).json({ success: false, message: 'Unauthorized Access' });
+	}
+
+	const results = await runScheduledJobs();
+	res.json({
+		success: results.every((result) => result.success),
+		data: results,
+	});
+});
+
 // NOTE: MONGODB
 async function run() {
 	try {
+		setInterval(runScheduledJobs, SCHEDULER_INTERVAL);
 		// await client.connect();
 		// await client.db('admin').command({ ping: 1 });
 		// console.log('Pinged your deployment. You successfully connected to MongoDB!');
 	} finally {
 	}
 }
-run().catch(console.dir);
 
 // NOTE: Root endpoint
 app.get('/', (req, res) => {
 	res.send('Hello, Heral is serving knowledge');
 });
 
-app.listen(port, () => {
-	console.log('Herald is serving knowledge on port:', port);
-});
+// Only serve when started directly, the tests load the app without a server or scheduler
+if (require.main === module) {
+	run().catch(console.dir);
+
+	app.listen(port, () => {
+		console.log('Herald is serving knowledge on port:', port);
+	});
+}
+
+module.exports = app;
@@ -0,0 +1,157 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, byEmail, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const author = { _id: new ObjectId(), email: 'author@example.com', name: 'Author', role: 'user' };
+const editor = { _id: new ObjectId(), email: 'editor@example.com', name: 'Editor', role: 'editor' };
+
+const approvedArticle = () => ({
+	_id: new ObjectId(),
+	title: 'Original title',
+	content: 'Original content',
+	status: 'approved',
+	authorEmail: author.email,
+	authorName: author.name,
+	revisionCount: 2,
+});
+
+//? Collections for editing `article`, `transitioned` is the result of the conditional status update
+const editDb = (t, article, { transitioned = 1, revision } = {}) =>
+	mockDb(t, {
+		users: {
+			findOne: byEmail(author, editor),
+		},
+		articles: {
+			findOne: async () => article,
+			updateOne: async (filter, update) =>
+				update.$push?.statusHistory
+					? { matchedCount: transitioned, modifiedCount: transitioned }
+					: { matchedCount: 1, modifiedCount: 1 },
+			findOneAndUpdate: async () => ({ revisionCount: article.revisionCount + 1 }),
+		},
+		articleRevisions: {
+			insertOne: async () => ({}),
+			findOne: async () => revision || null,
+		},
+		publishers: { findOne: async () => null },
+	});
+
+test('sends an approved article back to review before saving the edit', async (t) => {
+	const article = approvedArticle();
+	const calls = editDb(t, article);
+
+	const response = await request('PATCH', `/articles/${article._id}`, {
+		token: tokenFor(author),
+		body: { title: 'New title' },
+	});
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(response.body.data.status, 'pending');
+
+	const [transition, edit] = callsTo(calls, 'articles', 'updateOne');
+	assert.deepStrictEqual(transition[0], { _id: article._id, status: 'approved' });
+	assert.strictEqual(transition[1].$set.status, 'pending');
+	assert.deepStrictEqual(edit[0], { _id: article._id, status: 'pending' });
+	assert.strictEqual(edit[1].$set.title, 'New title');
+});
+
+test('leaves the live article untouched when it cannot go back to review', async (t) => {
+	const article = approvedArticle();
+	const calls = editDb(t, article, { transitioned: 0 });
+
+	const response = await request('PATCH', `/articles/${article._id}`, {
+		token: tokenFor(author),
+		body: { title: 'New title' },
+	});
+	assert.strictEqual(response.status, 409);
+
+	const updates = callsTo(calls, 'articles', 'updateOne');
+	assert.strictEqual(updates.length, 1, 'only the failed status move was attempted');
+	assert.strictEqual(callsTo(calls, 'articleRevisions', 'insertOne').length, 0);
+});
+
+test('keeps an article approved when a reviewer edits it', async (t) => {
+	const article = approvedArticle();
+	const calls = editDb(t, article);
+
+	const response = await request('PATCH', `/articles/${article._id}`, {
+		token: tokenFor(editor),
+		body: { content: 'Copy edited' },
+	});
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(response.body.data.status, 'approved');
+
+	const [[filter, update]] = callsTo(calls, 'articles', 'updateOne');
+	assert.deepStrictEqual(filter, { _id: article._id, status: 'approved' });
+	assert.strictEqual(update.$set.content, 'Copy edited');
+});
+
+test('sends an approved article back to review when a revision is restored', async (t) => {
+	const article = approvedArticle();
+	const revision = { articleId: article._id, rev: 1, snapshot: { title: 'First title', content: 'First content' } };
+	const calls = editDb(t, article, { revision });
+
+	const response = await request('POST', `/articles/${article._id}/revisions/1/restore`, { token: tokenFor(author) });
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(response.body.data.status, 'pending');
+
+	const [transition, edit] = callsTo(calls, 'articles', 'updateOne');
+	assert.strictEqual(transition[1].$set.status, 'pending');
+	assert.deepStrictEqual(edit[0], { _id: article._id, status: 'pending' });
+	assert.strictEqual(edit[1].$set.title, 'First title');
+	assert.strictEqual(callsTo(calls, 'articleRevisions', 'insertOne')[0][0].restoredFrom, 1);
+});
+
+test('keeps the current publisher when the revision points at a deleted one', async (t) => {
+	const publisher = new ObjectId();
+	const article = { ...approvedArticle(), publisher, publisherName: 'Current' };
+	const revision = {
+		articleId: article._id,
+		rev: 1,
+		snapshot: { title: 'First title', publisher: new ObjectId(), publisherName: 'Deleted' },
+	};
+	const calls = editDb(t, article, { revision });
+
+	const response = await request('POST', `/articles/${article._id}/revisions/1/restore`, { token: tokenFor(editor) });
+	assert.strictEqual(response.status, 200);
+
+	const [[, edit]] = callsTo(calls, 'articles', 'updateOne');
+	assert.strictEqual(edit.$set.title, 'First title');
+	assert.ok(!('publisher' in edit.$set) || publisher.equals(edit.$set.publisher));
+	assert.ok(!('publisherName' in edit.$set) || edit.$set.publisherName === 'Current');
+});
+
+test('does not let authors approve their own articles', async (t) => {
+	const article = { ...approvedArticle(), status: 'pending' };
+	const calls = editDb(t, article);
+
+	const response = await request('POST', `/articles/${article._id}/status`, {
+		token: tokenFor(author),
+		body: { status: 'approved' },
+	});
+	assert.strictEqual(response.status, 403);
+	assert.strictEqual(callsTo(calls, 'articles', 'updateOne').length, 0);
+});
+
+test('requires a reason to decline', async (t) => {
+	const article = { ...approvedArticle(), status: 'pending' };
+	editDb(t, article);
+
+	const response = await request('POST', `/articles/${article._id}/status`, {
+		token: tokenFor(editor),
+		body: { status: 'declined' },
+	});
+	assert.strictEqual(response.status, 400);
+});
+
+test('refuses moves the workflow does not allow', async (t) => {
+	const article = { ...approvedArticle(), status: 'draft' };
+	editDb(t, article);
+
+	const response = await request('POST', `/articles/${article._id}/status`, {
+		token: tokenFor(editor),
+		body: { status: 'approved' },
+	});
+	assert.strictEqual(response.status, 400);
+});
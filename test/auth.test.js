@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const jwt = require('jsonwebtoken');
+const { ObjectId, mockDb, callsTo, useServer } = require('./helpers');
+
+// Sign ID tokens with a local stand-in for Google's keys
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+process.env.FIREBASE_AUTH_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'pem' });
+process.env.FIREBASE_PROJECT_ID = 'herald-test';
+
+const request = useServer();
+
+const idToken = (claims, key = privateKey) =>
+	jwt.sign({ sub: 'firebase-uid-1', email: 'author@example.com', email_verified: true, ...claims }, key, {
+		algorithm: 'RS256',
+		audience: 'herald-test',
+		issuer: 'https://securetoken.google.com/herald-test',
+	});
+
+const author = {
+	_id: new ObjectId(),
+	email: 'author@example.com',
+	firebaseUid: 'firebase-uid-1',
+	role: 'user',
+};
+
+const refreshTokens = { insertOne: async () => ({ insertedId: new ObjectId() }) };
+
+test('logs in a user already linked to the Firebase account', async (t) => {
+	const calls = mockDb(t, {
+		users: { findOne: async () => author },
+		refreshTokens,
+	});
+
+	const response = await request('POST', '/auth/login', { body: { idToken: idToken({ sub: 'firebase-uid-1' }) } });
+	assert.strictEqual(response.status, 200);
+	assert.ok(response.body.uToken && response.body.refreshToken);
+	assert.deepStrictEqual(callsTo(calls, 'users', 'findOne'), [[{ firebaseUid: 'firebase-uid-1' }]]);
+	assert.strictEqual(callsTo(calls, 'users', 'findOneAndUpdate').length, 0);
+
+	const payload = jwt.verify(response.body.uToken, process.env.JWT_SECRET);
+	assert.strictEqual(payload.sub, author._id.toString());
+	assert.strictEqual(payload.email, author.email);
+});
+
+test('links or creates the user by verified email on first login', async (t) => {
+	const calls = mockDb(t, {
+		users: {
+			findOne: async () => null,
+			findOneAndUpdate: async () => ({ ...author, firebaseUid: 'firebase-uid-2' }),
+		},
+		refreshTokens,
+	});
+
+	const response = await request('POST', '/auth/login', { body: { idToken: idToken({ sub: 'firebase-uid-2' }) } });
+	assert.strictEqual(response.status, 200);
+
+	const [[filter, update, options]] = callsTo(calls, 'users', 'findOneAndUpdate');
+	assert.deepStrictEqual(filter, { email: 'author@example.com', firebaseUid: null });
+	assert.deepStrictEqual(update.$set, { firebaseUid: 'firebase-uid-2' });
+	assert.strictEqual(update.$setOnInsert.role, 'user');
+	assert.strictEqual(options.upsert, true);
+});
+
+test('refuses tokens whose email is not verified', async (t) => {
+	const calls = mockDb(t);
+
+	const response = await request('POST', '/auth/login', {
+		body: { idToken: idToken({ sub: 'firebase-uid-3', email_verified: false }) },
+	});
+	assert.strictEqual(response.status, 403);
+	assert.strictEqual(calls.length, 0);
+});
+
+test('does not take over a user linked to another Firebase account', async (t) => {
+	// The email is taken by a user with a different uid, so the guarded upsert can only fail on the unique email
+	const calls = mockDb(t, {
+		users: {
+			findOne: async () => null,
+			findOneAndUpdate: async () => {
+				throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+			},
+		},
+	});
+
+	const response = await request('POST', '/auth/login', {
+		body: { idToken: idToken({ sub: 'attacker-uid', email: 'admin@example.com' }) },
+	});
+	assert.strictEqual(response.status, 409);
+	assert.deepStrictEqual(callsTo(calls, 'users', 'findOneAndUpdate')[0][0], {
+		email: 'admin@example.com',
+		firebaseUid: null,
+	});
+	assert.strictEqual(callsTo(calls, 'users', 'updateOne').length, 0);
+	assert.strictEqual(callsTo(calls, 'refreshTokens', 'insertOne').length, 0);
+});
+
+test('refuses tokens signed with another key', async (t) => {
+	mockDb(t);
+	const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+	const response = await request('POST', '/auth/login', { body: { idToken: idToken({}, otherKey) } });
+	assert.strictEqual(response.status, 401);
+});
+
+test('refuses access tokens without a user id', async (t) => {
+	mockDb(t);
+	const legacy = jwt.sign({ email: author.email }, process.env.JWT_SECRET);
+
+	const response = await request('GET', `/users/subscription/${author.email}`, { token: legacy });
+	assert.strictEqual(response.status, 401);
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { mockDb, callsTo, cursor, useServer } = require('./helpers');
+
+const request = useServer();
+
+test("shows when an author joined from the user's created_at", async (t) => {
+	const joined = new Date('2024-03-01T10:00:00Z');
+	const calls = mockDb(t, {
+		users: { findOne: async () => ({ name: 'Ada', photo: null, followerCount: 4, created_at: joined }) },
+		articles: { aggregate: () => cursor([{ articleCount: 2, totalViews: 30, averageRating: 4.25 }]) },
+	});
+
+	const response = await request('GET', '/authors/ada@example.com');
+	assert.strictEqual(response.status, 200);
+	assert.deepStrictEqual(response.body.data, {
+		name: 'Ada',
+		photo: null,
+		email: 'ada@example.com',
+		createdAt: joined.toISOString(),
+		followerCount: 4,
+		articleCount: 2,
+		totalViews: 30,
+		averageRating: 4.25,
+	});
+
+	const [[, options]] = callsTo(calls, 'users', 'findOne');
+	assert.strictEqual(options.projection.created_at, 1);
+});
@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// Not a count, so the default of 2 links applies
+process.env.COMMENT_MAX_LINKS = 'unlimited';
+
+const { ObjectId, mockDb, callsTo, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const author = { _id: new ObjectId(), email: 'author@example.com', role: 'user' };
+const reporter = { _id: new ObjectId(), email: 'reporter@example.com', role: 'user' };
+const threeLinks = 'See https://a.example https://b.example https://c.example';
+
+const mockComment = (t, comment, collections = {}) =>
+	mockDb(t, {
+		...collections,
+		comments: {
+			findOne: async () => ({ _id: new ObjectId(), userEmail: author.email, comment: 'Original', ...comment }),
+			updateOne: async () => ({ modifiedCount: 1 }),
+			...collections.comments,
+		},
+	});
+
+const editComment = (text) =>
+	request('PATCH', `/comments/${new ObjectId()}`, { token: tokenFor(author), body: { comment: text } });
+
+test('sends an approved comment back to unreviewed when it is edited', async (t) => {
+	const calls = mockComment(t, { moderationStatus: 'approved' });
+
+	const response = await editComment('Updated with new claims');
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(response.body.data.moderationStatus, undefined);
+
+	const [[, update]] = callsTo(calls, 'comments', 'updateOne');
+	assert.deepStrictEqual(update.$unset, { moderationStatus: '' });
+	assert.strictEqual(update.$set.comment, 'Updated with new claims');
+});
+
+test('holds an edited comment that trips the spam check', async (t) => {
+	const calls = mockComment(t, { moderationStatus: 'approved' });
+
+	const response = await editComment(threeLinks);
+	assert.strictEqual(response.body.message, 'Comment held for review');
+
+	const [[, update]] = callsTo(calls, 'comments', 'updateOne');
+	assert.strictEqual(update.$set.moderationStatus, 'held');
+	assert.strictEqual(update.$unset, undefined);
+});
+
+test('keeps a hidden comment hidden when it is edited', async (t) => {
+	const calls = mockComment(t, { moderationStatus: 'hidden' });
+
+	const response = await editComment(threeLinks);
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(response.body.data.moderationStatus, 'hidden');
+
+	const [[, update]] = callsTo(calls, 'comments', 'updateOne');
+	assert.strictEqual(update.$set.moderationStatus, undefined);
+	assert.strictEqual(update.$unset, undefined);
+});
+
+test('allows up to two links when COMMENT_MAX_LINKS is not a number', async (t) => {
+	const calls = mockComment(t, {});
+
+	const response = await editComment('See https://a.example and https://b.example');
+	assert.strictEqual(response.body.message, 'Comment updated successfully');
+	const [[, update]] = callsTo(calls, 'comments', 'updateOne');
+	assert.strictEqual(update.$set.moderationStatus, undefined);
+});
+
+test('hides a comment once it reaches the report threshold', async (t) => {
+	const calls = mockComment(
+		t,
+		{},
+		{
+			commentReports: { insertOne: async () => ({}) },
+			comments: { findOneAndUpdate: async () => ({ reportCount: 3 }) },
+		}
+	);
+
+	const response = await request('POST', `/comments/${new ObjectId()}/report`, {
+		token: tokenFor(reporter),
+		body: { reason: 'spam' },
+	});
+	assert.strictEqual(response.status, 200);
+
+	const [[filter, update]] = callsTo(calls, 'comments', 'updateOne');
+	assert.deepStrictEqual(filter.moderationStatus, { $nin: ['approved', 'hidden'] });
+	assert.strictEqual(update.$set.moderationStatus, 'hidden');
+});
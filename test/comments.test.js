@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, byEmail, cursor, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const author = { _id: new ObjectId(), email: 'author@example.com', name: 'Author', role: 'user' };
+const reader = { _id: new ObjectId(), email: 'reader@example.com', name: 'Reader', role: 'user' };
+const replier = { _id: new ObjectId(), email: 'replier@example.com', name: 'Replier', role: 'user' };
+const article = { _id: new ObjectId(), title: 'Threads', authorEmail: author.email, status: 'approved' };
+
+const findUser = byEmail(author, reader, replier);
+
+test('attaches replies past the deepest level to the deepest level and notifies both authors', async (t) => {
+	const threadId = new ObjectId();
+	const parent = {
+		_id: new ObjectId(),
+		articleId: article._id.toString(),
+		parentId: new ObjectId(),
+		threadId,
+		depth: 4,
+		userEmail: reader.email,
+	};
+	const calls = mockDb(t, {
+		articles: { findOne: async () => article },
+		users: { findOne: findUser },
+		comments: {
+			findOne: async () => parent,
+			insertOne: async () => ({ insertedId: new ObjectId() }),
+			updateOne: async () => ({ modifiedCount: 1 }),
+		},
+		notifications: { insertOne: async () => ({}) },
+	});
+
+	const response = await request('POST', `/articles/${article._id}/comments`, {
+		token: tokenFor(replier),
+		body: { comment: 'Deep reply', parentId: parent._id.toString() },
+	});
+	assert.strictEqual(response.status, 200);
+
+	const [[reply]] = callsTo(calls, 'comments', 'insertOne');
+	assert.deepStrictEqual([reply.parentId, reply.threadId, reply.depth], [parent.parentId, threadId, 4]);
+	assert.deepStrictEqual(callsTo(calls, 'comments', 'updateOne')[0], [
+		{ _id: parent.parentId },
+		{ $inc: { replyCount: 1 } },
+	]);
+	assert.deepStrictEqual(
+		callsTo(calls, 'notifications', 'insertOne').map(([notification]) => [notification.userEmail, notification.type]),
+		[
+			[author.email, 'article_reply'],
+			[reader.email, 'comment_reply'],
+		]
+	);
+});
+
+test('nests replies under their parents and keeps deleted comments as placeholders', async (t) => {
+	const root = {
+		_id: new ObjectId(),
+		articleId: article._id.toString(),
+		parentId: null,
+		comment: 'Removed text',
+		userEmail: reader.email,
+		deleted: true,
+		replyCount: 1,
+		createdAt: new Date(),
+	};
+	const reply = {
+		_id: new ObjectId(),
+		articleId: article._id.toString(),
+		parentId: root._id,
+		threadId: root._id,
+		depth: 1,
+		comment: 'Still here',
+		userEmail: replier.email,
+		createdAt: new Date(),
+	};
+	const calls = mockDb(t, {
+		comments: {
+			find: (filter) => cursor(filter.parentId === null ? [root] : [reply]),
+			countDocuments: async () => 1,
+		},
+	});
+
+	const response = await request('GET', `/articles/${article._id}/comments?limit=5`, { token: tokenFor(author) });
+	assert.strictEqual(response.status, 200);
+	assert.deepStrictEqual([response.body.total, response.body.totalPages], [1, 1]);
+
+	const [thread] = response.body.data;
+	assert.strictEqual(thread.deleted, true);
+	assert.strictEqual(thread.comment, undefined);
+	assert.strictEqual(thread.userEmail, undefined);
+	assert.deepStrictEqual(
+		thread.replies.map((item) => item.comment),
+		['Still here']
+	);
+
+	const [, [repliesFilter]] = callsTo(calls, 'comments', 'find');
+	assert.deepStrictEqual(repliesFilter.threadId, { $in: [root._id] });
+});
+
+test('rejects unknown comment orders', async (t) => {
+	mockDb(t);
+	const response = await request('GET', `/articles/${article._id}/comments?sort=loudest`, { token: tokenFor(author) });
+	assert.strictEqual(response.status, 400);
+});
+
+test("soft deletes own comments and refuses other people's", async (t) => {
+	const comment = { _id: new ObjectId(), userEmail: reader.email, comment: 'Mine' };
+	const calls = mockDb(t, {
+		users: { findOne: findUser },
+		comments: { findOne: async () => comment, updateOne: async () => ({ modifiedCount: 1 }) },
+	});
+
+	const forbidden = await request('DELETE', `/comments/${comment._id}`, { token: tokenFor(replier) });
+	assert.strictEqual(forbidden.status, 403);
+
+	const response = await request('DELETE', `/comments/${comment._id}`, { token: tokenFor(reader) });
+	assert.strictEqual(response.status, 200);
+	const [[filter, update]] = callsTo(calls, 'comments', 'updateOne');
+	assert.deepStrictEqual(filter, { _id: comment._id });
+	assert.strictEqual(update.$set.deleted, true);
+	assert.strictEqual(update.$set.deletedBy, reader.email);
+});
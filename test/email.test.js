@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { ObjectId, mockDb, callsTo, cursor, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+process.env.CRON_SECRET = 'cron-secret';
+delete process.env.EMAIL_TRANSPORT;
+
+const sender = { _id: new ObjectId(), email: 'sender@example.com', name: 'Account Name', role: 'user' };
+const contactForm = {
+	name: 'Typed Name',
+	email: sender.email,
+	subject: 'Click https://phishing.example',
+	message: 'Hello',
+};
+
+const mockContact = (t) =>
+	mockDb(t, {
+		contacts: { insertOne: async () => ({ insertedId: new ObjectId() }) },
+		users: { findOne: async (filter) => (filter.email === sender.email ? sender : null) },
+		emailOutbox: { insertOne: async () => ({ insertedId: new ObjectId() }) },
+	});
+
+//? Collections for a scheduler run where only the outbox has work to do
+const mockOutbox = (t, email) =>
+	mockDb(t, {
+		articles: { find: () => cursor([]) },
+		users: { find: () => cursor([]) },
+		emailOutbox: {
+			find: () => cursor([{ _id: email._id }]),
+			findOneAndUpdate: async () => email,
+			updateOne: async () => ({ modifiedCount: 1 }),
+		},
+	});
+
+const outboxUpdate = (calls) => callsTo(calls, 'emailOutbox', 'updateOne')[0][1];
+
+test('confirms a contact message to the logged in sender by their account name', async (t) => {
+	t.mock.method(console, 'warn', () => {});
+	const calls = mockContact(t);
+
+	const response = await request('POST', '/contact', { token: tokenFor(sender), body: contactForm });
+	assert.strictEqual(response.status, 201);
+
+	const [[email]] = callsTo(calls, 'emailOutbox', 'insertOne');
+	assert.strictEqual(email.to, sender.email);
+	assert.deepStrictEqual(email.data, { name: 'Account Name' });
+	assert.ok(!email.text.includes('Typed Name'));
+	assert.ok(!email.text.includes('phishing'));
+});
+
+test('does not send confirmations to addresses the sender has not proven', async (t) => {
+	const calls = mockContact(t);
+
+	const anonymous = await request('POST', '/contact', { body: contactForm });
+	assert.strictEqual(anonymous.status, 201);
+	const otherAddress = await request('POST', '/contact', {
+		token: tokenFor(sender),
+		body: { ...contactForm, email: 'victim@example.com' },
+	});
+	assert.strictEqual(otherAddress.status, 201);
+
+	assert.strictEqual(callsTo(calls, 'contacts', 'insertOne').length, 2);
+	assert.strictEqual(callsTo(calls, 'emailOutbox', 'insertOne').length, 0);
+});
+
+test('keeps mail queued while no transport is configured', async (t) => {
+	t.mock.method(console, 'warn', () => {});
+	const calls = mockDb(t, {
+		contacts: { insertOne: async () => ({ insertedId: new ObjectId() }) },
+		articles: { find: () => cursor([]) },
+		users: { find: () => cursor([]), findOne: async () => sender },
+		emailOutbox: { insertOne: async () => ({ insertedId: new ObjectId() }) },
+	});
+
+	await request('POST', '/contact', { token: tokenFor(sender), body: contactForm });
+	const response = await request('GET', '/cron/scheduled-jobs', { token: 'cron-secret' });
+	assert.strictEqual(response.body.success, true);
+
+	assert.strictEqual(callsTo(calls, 'emailOutbox', 'insertOne').length, 1);
+	assert.strictEqual(callsTo(calls, 'emailOutbox', 'findOneAndUpdate').length, 0);
+	assert.strictEqual(callsTo(calls, 'emailOutbox', 'find').length, 0);
+});
+
+test('sends queued mail through the configured transport', async (t) => {
+	process.env.EMAIL_TRANSPORT = 'file';
+	const written = t.mock.method(fs.promises, 'appendFile', async () => {});
+	const calls = mockOutbox(t, { _id: new ObjectId(), to: sender.email, subject: 'Hi', text: 'Hi', attempts: 1 });
+
+	await request('GET', '/cron/scheduled-jobs', { token: 'cron-secret' });
+	assert.strictEqual(written.mock.callCount(), 1);
+	const update = outboxUpdate(calls);
+	assert.strictEqual(update.$set.status, 'sent');
+	assert.match(update.$set.messageId, /@file>$/);
+});
+
+test('retries a failed send four times longer each attempt', async (t) => {
+	t.mock.method(fs.promises, 'appendFile', async () => {
+		throw new Error('disk full');
+	});
+	const calls = mockOutbox(t, { _id: new ObjectId(), to: sender.email, subject: 'Hi', text: 'Hi', attempts: 2 });
+
+	await request('GET', '/cron/scheduled-jobs', { token: 'cron-secret' });
+	const update = outboxUpdate(calls);
+	assert.strictEqual(update.$set.status, 'pending');
+	assert.strictEqual(update.$set.lastError, 'disk full');
+	const wait = update.$set.nextAttemptAt - Date.now();
+	assert.ok(wait > 3.9 * 60 * 1000 && wait <= 4 * 60 * 1000, `expected a 4 minute wait, got ${wait}ms`);
+});
+
+test('gives up after the fifth attempt', async (t) => {
+	t.mock.method(fs.promises, 'appendFile', async () => {
+		throw new Error('disk full');
+	});
+	const calls = mockOutbox(t, { _id: new ObjectId(), to: sender.email, subject: 'Hi', text: 'Hi', attempts: 5 });
+
+	await request('GET', '/cron/scheduled-jobs', { token: 'cron-secret' });
+	const update = outboxUpdate(calls);
+	assert.strictEqual(update.$set.status, 'failed');
+	assert.strictEqual(update.$set.nextAttemptAt, null);
+});
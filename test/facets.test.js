@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, cursor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const publisherId = new ObjectId();
+const facetResult = {
+	tags: [{ value: 'climate', label: 'Climate', count: 2 }],
+	publishers: [{ _id: publisherId, name: 'Daily', logo: null, count: 2 }],
+	premium: [{ _id: 'free', count: 2 }],
+	months: [{ month: '2025-05', count: 2 }],
+};
+
+const facetsDb = (t) =>
+	mockDb(t, {
+		articles: {
+			aggregate: (pipeline) => cursor(pipeline.some((stage) => stage.$facet) ? [facetResult] : []),
+			find: () => cursor([]),
+			countDocuments: async () => 2,
+		},
+	});
+
+const facetPipeline = (calls) =>
+	callsTo(calls, 'articles', 'aggregate')
+		.map(([pipeline]) => pipeline)
+		.find((pipeline) => pipeline.some((stage) => stage.$facet));
+
+test('counts the listing by tag, publisher, premium and month', async (t) => {
+	const calls = facetsDb(t);
+
+	const response = await request('GET', '/articles?facets=true&tags=climate');
+	assert.strictEqual(response.status, 200);
+	assert.deepStrictEqual(response.body.facets, {
+		tags: facetResult.tags,
+		publishers: [{ _id: publisherId.toString(), name: 'Daily', logo: null, count: 2 }],
+		premium: { premium: 0, free: 2 },
+		months: facetResult.months,
+	});
+
+	// The counts are for the same filters as the page
+	const [[countFilter]] = callsTo(calls, 'articles', 'countDocuments');
+	assert.deepStrictEqual(countFilter.tags, { $elemMatch: { value: { $in: ['climate'] } } });
+	assert.deepStrictEqual(facetPipeline(calls)[0].$match, countFilter);
+});
+
+test('leaves facets out unless asked for', async (t) => {
+	const calls = facetsDb(t);
+
+	const response = await request('GET', '/articles');
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(response.body.facets, undefined);
+	assert.strictEqual(facetPipeline(calls), undefined);
+});
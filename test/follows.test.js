@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const reader = { _id: new ObjectId(), email: 'reader@example.com', role: 'user' };
+const author = { _id: new ObjectId(), email: 'author@example.com', role: 'user' };
+const publisher = { _id: new ObjectId(), name: 'Daily' };
+
+test('treats a follow that lost the race to a duplicate as already following', async (t) => {
+	const calls = mockDb(t, {
+		publishers: { findOne: async () => publisher },
+		follows: {
+			updateOne: async () => {
+				throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+			},
+		},
+	});
+
+	const response = await request('POST', `/publishers/${publisher._id}/follow`, { token: tokenFor(reader) });
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(response.body.message, 'Already following');
+	assert.strictEqual(callsTo(calls, 'publishers', 'updateOne').length, 0);
+});
+
+test('answers a malformed publisher id with a 404', async (t) => {
+	const calls = mockDb(t);
+
+	for (const method of ['POST', 'DELETE']) {
+		const response = await request(method, '/publishers/not-an-id/follow', { token: tokenFor(reader) });
+		assert.strictEqual(response.status, 404, method);
+	}
+	assert.strictEqual(calls.length, 0);
+});
+
+test('only follows users who have published an article', async (t) => {
+	let published = null;
+	const calls = mockDb(t, {
+		users: { findOne: async () => author, updateOne: async () => ({ modifiedCount: 1 }) },
+		articles: { findOne: async () => published },
+		follows: { updateOne: async () => ({ upsertedCount: 1 }) },
+	});
+
+	const notAuthor = await request('POST', `/authors/${author.email}/follow`, { token: tokenFor(reader) });
+	assert.strictEqual(notAuthor.status, 404);
+	assert.strictEqual(callsTo(calls, 'follows', 'updateOne').length, 0);
+
+	const [[filter]] = callsTo(calls, 'articles', 'findOne');
+	assert.strictEqual(filter.authorEmail, author.email);
+	assert.strictEqual(filter.status, 'approved');
+
+	published = { _id: new ObjectId() };
+	const followed = await request('POST', `/authors/${author.email}/follow`, { token: tokenFor(reader) });
+	assert.strictEqual(followed.status, 201);
+	const [[countFilter, update]] = callsTo(calls, 'users', 'updateOne');
+	assert.deepStrictEqual(countFilter, { email: author.email });
+	assert.deepStrictEqual(update, { $inc: { followerCount: 1 } });
+});
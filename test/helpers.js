@@ -0,0 +1,137 @@
+// Shared setup for the API tests: the app runs against mocked collections, nothing touches MongoDB or Stripe
+process.env.JWT_SECRET = 'test-secret';
+process.env.STRIPE_SK = 'sk_test_herald';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+
+const { before, after, mock } = require('node:test');
+const { once } = require('node:events');
+const jwt = require('jsonwebtoken');
+const { Collection, MongoClient, ObjectId } = require('mongodb');
+const Stripe = require('stripe');
+const app = require('../index');
+
+const stripe = Stripe(process.env.STRIPE_SK);
+
+// A query or Stripe call that slips past the mocks fails instead of going over the network
+mock.method(MongoClient.prototype, 'connect', async () => {
+	throw new Error('Tests must not connect to MongoDB');
+});
+mock.method(Stripe.StripeResource.prototype, '_makeRequest', async () => {
+	throw new Error('Tests must not call Stripe');
+});
+
+const COLLECTION_METHODS = [
+	'find',
+	'findOne',
+	'findOneAndUpdate',
+	'findOneAndDelete',
+	'insertOne',
+	'insertMany',
+	'updateOne',
+	'updateMany',
+	'replaceOne',
+	'deleteOne',
+	'deleteMany',
+	'countDocuments',
+	'estimatedDocumentCount',
+	'distinct',
+	'aggregate',
+	'bulkWrite',
+	'createIndex',
+	'indexes',
+	'dropIndex',
+];
+
+//? Mock collection methods for one test, `handlers` maps collection name to method implementations.
+//? Index creation succeeds unless mocked, anything else that isn't mocked throws. Returns the calls made
+const mockDb = (t, handlers = {}) => {
+	const calls = [];
+	for (const method of COLLECTION_METHODS) {
+		t.mock.method(Collection.prototype, method, function (...args) {
+			calls.push({ collection: this.collectionName, method, args });
+			const handler = handlers[this.collectionName]?.[method];
+			if (handler) {
+				return handler(...args);
+			}
+			if (method === 'createIndex') {
+				return Promise.resolve('index');
+			}
+			throw new Error(`Unexpected ${this.collectionName}.${method}`);
+		});
+	}
+	t.mock.method(MongoClient.prototype, 'startSession', () => ({
+		withTransaction: async (fn) => fn(),
+		endSession: async () => {},
+	}));
+	return calls;
+};
+
+//? The calls made to one collection method
+const callsTo = (calls, collection, method) =>
+	calls.filter((call) => call.collection === collection && call.method === method).map((call) => call.args);
+
+//? A users.findOne stand-in that looks `users` up by email
+const byEmail =
+	(...users) =>
+	async (filter) =>
+		users.find((user) => user.email === filter.email) || null;
+
+//? A stand-in for a find or aggregate cursor
+const cursor = (docs) => {
+	const chain = {
+		toArray: async () => docs,
+		next: async () => docs[0] || null,
+	};
+	for (const method of ['project', 'sort', 'skip', 'limit', 'collation', 'hint']) {
+		chain[method] = () => chain;
+	}
+	return chain;
+};
+
+//? Mock a Stripe API method for one test, e.g. mockStripe(t, 'checkout.sessions', 'create', impl)
+const mockStripe = (t, resource, method, impl) => {
+	const instance = resource.split('.').reduce((object, key) => object[key], stripe);
+	return t.mock.method(Object.getPrototypeOf(instance), method, impl);
+};
+
+//? An access token like the ones /auth/login issues
+const tokenFor = (user) =>
+	jwt.sign({ sub: user._id.toString(), email: user.email, role: user.role || 'user' }, process.env.JWT_SECRET);
+
+//? Start the app on a free port for the test file and return a small request helper
+const useServer = () => {
+	let server;
+	let baseUrl;
+	before(async () => {
+		server = app.listen(0);
+		await once(server, 'listening');
+		baseUrl = `http://127.0.0.1:${server.address().port}`;
+	});
+	after(() => {
+		server.closeAllConnections();
+		server.close();
+	});
+
+	return async (method, path, { token, body, headers = {} } = {}) => {
+		const response = await fetch(`${baseUrl}${path}`, {
+			method,
+			headers: {
+				...(body !== undefined && { 'content-type': 'application/json' }),
+				...(token && { authorization: `Bearer ${token}` }),
+				...headers,
+			},
+			body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+			signal: AbortSignal.timeout(5000),
+		});
+		const text = await response.text();
+		let json = null;
+		try {
+			json = JSON.parse(text);
+		} catch (error) {
+			json = null;
+		}
+		return { status: response.status, body: json, text };
+	};
+};
+
+module.exports = { ObjectId, stripe, mockDb, callsTo, byEmail, cursor, mockStripe, tokenFor, useServer };
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, cursor, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const author = { _id: new ObjectId(), email: 'author@example.com', name: 'Author', role: 'user' };
+const reader = { _id: new ObjectId(), email: 'reader@example.com', name: 'Reader', role: 'user' };
+
+test('lists own notifications filtered by unread and category', async (t) => {
+	const calls = mockDb(t, { notifications: { find: () => cursor([]), countDocuments: async () => 0 } });
+
+	const response = await request('GET', '/notifications?unread=true&category=comments', { token: tokenFor(reader) });
+	assert.strictEqual(response.status, 200);
+	assert.deepStrictEqual(callsTo(calls, 'notifications', 'find')[0][0], {
+		userEmail: reader.email,
+		read: false,
+		category: 'comments',
+	});
+});
+
+test("does not mark other people's notifications read", async (t) => {
+	const calls = mockDb(t, { notifications: { updateOne: async () => ({ matchedCount: 0 }) } });
+	const id = new ObjectId();
+
+	const response = await request('PATCH', `/notifications/${id}/read`, { token: tokenFor(reader) });
+	assert.strictEqual(response.status, 404);
+	assert.deepStrictEqual(callsTo(calls, 'notifications', 'updateOne')[0][0], { _id: id, userEmail: reader.email });
+});
+
+test('only accepts known categories as muted', async (t) => {
+	const calls = mockDb(t, { users: { updateOne: async () => ({ modifiedCount: 1 }) } });
+
+	const invalid = await request('PUT', '/notifications/preferences', {
+		token: tokenFor(reader),
+		body: { muted: ['comments', 'newsletters'] },
+	});
+	assert.strictEqual(invalid.status, 400);
+
+	const response = await request('PUT', '/notifications/preferences', {
+		token: tokenFor(reader),
+		body: { muted: ['comments', 'replies', 'comments'] },
+	});
+	assert.strictEqual(response.status, 200);
+	const [[, update]] = callsTo(calls, 'users', 'updateOne');
+	assert.deepStrictEqual(update.$set['notificationPreferences.muted'], ['comments', 'replies']);
+});
+
+test('skips notifications in muted categories', async (t) => {
+	const article = { _id: new ObjectId(), title: 'Muted', authorEmail: author.email, status: 'approved' };
+	const calls = mockDb(t, {
+		articles: { findOne: async () => article },
+		users: {
+			findOne: async (filter) =>
+				filter.email === author.email ? { ...author, notificationPreferences: { muted: ['comments'] } } : reader,
+		},
+		comments: { insertOne: async () => ({ insertedId: new ObjectId() }), updateOne: async () => ({}) },
+	});
+
+	const response = await request('POST', `/articles/${article._id}/comments`, {
+		token: tokenFor(reader),
+		body: { comment: 'Nice' },
+	});
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(callsTo(calls, 'notifications', 'insertOne').length, 0);
+});
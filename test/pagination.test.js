@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const admin = { _id: new ObjectId(), email: 'admin@example.com', role: 'admin' };
+
+//? A find cursor that records how it was sorted
+const recordingCursor = (docs, sorts) => {
+	const chain = {
+		sort: (sort) => {
+			sorts.push(sort);
+			return chain;
+		},
+		skip: () => chain,
+		limit: () => chain,
+		toArray: async () => docs,
+	};
+	return chain;
+};
+
+//? Users with ascending ids, like a collection in insertion order
+const users = Array.from({ length: 3 }, (_, index) => ({
+	_id: new ObjectId(`6500000000000000000000${index + 10}`),
+	email: `user${index}@example.com`,
+}));
+
+test('lists users in their natural order by default', async (t) => {
+	const sorts = [];
+	mockDb(t, {
+		users: {
+			findOne: async () => admin,
+			find: () => recordingCursor(users, sorts),
+			countDocuments: async () => users.length,
+		},
+	});
+
+	const response = await request('GET', '/users?page=1&limit=10', { token: tokenFor(admin) });
+	assert.strictEqual(response.status, 200);
+	assert.deepStrictEqual(sorts, []);
+	assert.deepStrictEqual(
+		response.body.data.map((user) => user.email),
+		users.map((user) => user.email)
+	);
+	assert.strictEqual(response.body.total, 3);
+});
+
+test('pages users newest first by cursor', async (t) => {
+	const sorts = [];
+	const newestFirst = [...users].reverse();
+	const calls = mockDb(t, {
+		users: { findOne: async () => admin, find: () => recordingCursor(newestFirst, sorts) },
+	});
+
+	const first = await request('GET', '/users?paginate=cursor&limit=2', { token: tokenFor(admin) });
+	assert.strictEqual(first.status, 200);
+	assert.deepStrictEqual(sorts, [{ _id: -1 }]);
+	assert.strictEqual(first.body.data.length, 2);
+	assert.ok(first.body.nextCursor);
+	assert.strictEqual(first.body.prevCursor, null);
+	assert.strictEqual(first.body.total, null);
+
+	await request('GET', `/users?after=${first.body.nextCursor}&limit=2`, { token: tokenFor(admin) });
+	const [filter] = callsTo(calls, 'users', 'find')[1];
+	assert.deepStrictEqual(filter, { $and: [{}, { _id: { $lt: newestFirst[1]._id } }] });
+});
+
+test('rejects a cursor from another listing', async (t) => {
+	mockDb(t, { users: { findOne: async () => admin } });
+
+	const response = await request('GET', '/users?after=not-a-cursor', { token: tokenFor(admin) });
+	assert.strictEqual(response.status, 400);
+});
@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, byEmail, cursor, mockStripe, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const admin = { _id: new ObjectId(), email: 'admin@example.com', role: 'admin' };
+const reader = { _id: new ObjectId(), email: 'reader@example.com', role: 'user' };
+const other = { _id: new ObjectId(), email: 'other@example.com', role: 'user' };
+
+const findUser = byEmail(admin, reader, other);
+
+//? A one-time 30 day pass paid today
+const pass = () => ({
+	_id: new ObjectId(),
+	paymentId: 'pi_test_1',
+	email: reader.email,
+	planName: 'Monthly',
+	amount: 1000,
+	subscriptionTime: 30 * 24 * 60,
+	periodStart: new Date(),
+	periodEnd: new Date(Date.now() + 30 * DAY_MS),
+	status: 'success',
+});
+
+test("lists only the caller's own payments", async (t) => {
+	const calls = mockDb(t, { payments: { find: () => cursor([pass()]), countDocuments: async () => 1 } });
+
+	const response = await request('GET', '/payments/me', { token: tokenFor(reader) });
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(response.body.total, 1);
+	assert.deepStrictEqual(callsTo(calls, 'payments', 'find')[0][0], { email: reader.email });
+});
+
+test('shows receipts to the payer and payment managers only', async (t) => {
+	const payment = pass();
+	mockDb(t, { payments: { findOne: async () => payment }, users: { findOne: findUser } });
+	mockStripe(t, 'paymentIntents', 'retrieve', async () => ({
+		latest_charge: { receipt_url: 'https://pay.example/r' },
+	}));
+
+	const forbidden = await request('GET', `/payments/${payment._id}/receipt`, { token: tokenFor(other) });
+	assert.strictEqual(forbidden.status, 403);
+
+	for (const user of [reader, admin]) {
+		const response = await request('GET', `/payments/${payment._id}/receipt`, { token: tokenFor(user) });
+		assert.strictEqual(response.status, 200);
+		assert.strictEqual(response.body.data.receiptUrl, 'https://pay.example/r');
+	}
+});
+
+test('refuses refunds beyond what is left of the payment', async (t) => {
+	const payment = { ...pass(), amountRefunded: 800, status: 'partially_refunded' };
+	mockDb(t, { payments: { findOne: async () => payment }, users: { findOne: findUser } });
+	const refunds = mockStripe(t, 'refunds', 'create', async () => ({}));
+
+	const response = await request('POST', `/admin/payments/${payment._id}/refund`, {
+		token: tokenFor(admin),
+		body: { amount: 300 },
+	});
+	assert.strictEqual(response.status, 400);
+	assert.strictEqual(response.body.message, 'Refund amount must be between 1 and 200 cents');
+	assert.strictEqual(refunds.mock.callCount(), 0);
+});
+
+test('shortens a one-time pass by the refunded share', async (t) => {
+	const payment = pass();
+	const subscriptionEnd = payment.periodEnd;
+	const calls = mockDb(t, {
+		payments: { findOne: async () => payment, findOneAndUpdate: async () => ({ _id: payment._id }) },
+		users: {
+			findOne: async (filter) => (filter.email === reader.email ? { ...reader, subscriptionEnd } : findUser(filter)),
+			updateOne: async () => ({ modifiedCount: 1 }),
+		},
+	});
+	const refunds = mockStripe(t, 'refunds', 'create', async (params) => ({ amount: params.amount }));
+
+	const response = await request('POST', `/admin/payments/${payment._id}/refund`, {
+		token: tokenFor(admin),
+		body: { amount: 500 },
+	});
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(response.body.message, 'Payment partially refunded');
+	assert.strictEqual(refunds.mock.calls[0].arguments[0].payment_intent, 'pi_test_1');
+
+	const [[, paymentUpdate]] = callsTo(calls, 'payments', 'findOneAndUpdate');
+	assert.strictEqual(paymentUpdate.$set.status, 'partially_refunded');
+	assert.strictEqual(paymentUpdate.$set.amountRefunded, 500);
+
+	const [[, userUpdate]] = callsTo(calls, 'users', 'updateOne');
+	assert.strictEqual(subscriptionEnd - userUpdate.$set.subscriptionEnd, 15 * DAY_MS);
+});
+
+test('only takes off the time a concurrent refund has not already taken', async (t) => {
+	const payment = pass();
+	const subscriptionEnd = payment.periodEnd;
+	// The webhook for the same refund landed between reading the payment and updating it
+	const calls = mockDb(t, {
+		payments: {
+			findOne: async () => payment,
+			findOneAndUpdate: async () => ({ _id: payment._id, refundedTime: 10 * 24 * 60 }),
+		},
+		users: {
+			findOne: async (filter) => (filter.email === reader.email ? { ...reader, subscriptionEnd } : findUser(filter)),
+			updateOne: async () => ({ modifiedCount: 1 }),
+		},
+	});
+	mockStripe(t, 'refunds', 'create', async (params) => ({ amount: params.amount }));
+
+	const response = await request('POST', `/admin/payments/${payment._id}/refund`, {
+		token: tokenFor(admin),
+		body: { amount: 500 },
+	});
+	assert.strictEqual(response.status, 200);
+
+	const [[filter, , options]] = callsTo(calls, 'payments', 'findOneAndUpdate');
+	assert.deepStrictEqual(filter.$or[1], { amountRefunded: { $lt: 500 } });
+	assert.strictEqual(options.returnDocument, 'before');
+	const [[, userUpdate]] = callsTo(calls, 'users', 'updateOne');
+	assert.strictEqual(subscriptionEnd - userUpdate.$set.subscriptionEnd, 5 * DAY_MS);
+});
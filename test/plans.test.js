@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, byEmail, cursor, mockStripe, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const admin = { _id: new ObjectId(), email: 'admin@example.com', role: 'admin' };
+const reader = { _id: new ObjectId(), email: 'reader@example.com', role: 'user' };
+const monthly = {
+	_id: new ObjectId(),
+	name: 'Monthly',
+	description: '',
+	price: 9.99,
+	duration: 1,
+	durationUnit: 'months',
+	status: 'active',
+	stripeProductId: 'prod_1',
+	stripePriceId: 'price_1',
+};
+
+const findUser = byEmail(admin, reader);
+
+test('lists only active plans publicly', async (t) => {
+	const calls = mockDb(t, { plans: { find: () => cursor([monthly]) } });
+
+	const response = await request('GET', '/plans');
+	assert.strictEqual(response.status, 200);
+	assert.deepStrictEqual(callsTo(calls, 'plans', 'find')[0][0], { status: { $ne: 'archived' } });
+});
+
+test('only lets plan managers change plans', async (t) => {
+	const calls = mockDb(t, { users: { findOne: findUser } });
+
+	const response = await request('POST', '/plans', { token: tokenFor(reader), body: { name: 'Yearly' } });
+	assert.strictEqual(response.status, 403);
+	assert.strictEqual(callsTo(calls, 'plans', 'insertOne').length, 0);
+});
+
+test('validates new plans and adds them at the end of the list', async (t) => {
+	const calls = mockDb(t, {
+		users: { findOne: findUser },
+		plans: { find: () => cursor([{ displayOrder: 4 }]), insertOne: async () => ({ insertedId: new ObjectId() }) },
+	});
+
+	const invalid = await request('POST', '/plans', {
+		token: tokenFor(admin),
+		body: { name: 'Yearly', price: 99, duration: 1, durationUnit: 'minute' },
+	});
+	assert.strictEqual(invalid.status, 400);
+
+	const response = await request('POST', '/plans', {
+		token: tokenFor(admin),
+		body: { name: 'Yearly', price: 99.999, duration: 1, durationUnit: 'years' },
+	});
+	assert.strictEqual(response.status, 201);
+	const [[plan]] = callsTo(calls, 'plans', 'insertOne');
+	assert.strictEqual(plan.price, 100);
+	assert.strictEqual(plan.displayOrder, 5);
+	assert.strictEqual(plan.status, 'active');
+});
+
+test('retires the Stripe price when a plan is repriced', async (t) => {
+	const calls = mockDb(t, {
+		users: { findOne: findUser },
+		plans: { findOne: async () => monthly, updateOne: async () => ({ modifiedCount: 1 }) },
+	});
+	const prices = mockStripe(t, 'prices', 'update', async () => ({}));
+
+	const response = await request('PATCH', `/plans/${monthly._id}`, { token: tokenFor(admin), body: { price: 12 } });
+	assert.strictEqual(response.status, 200);
+	assert.deepStrictEqual(prices.mock.calls[0].arguments, ['price_1', { active: false }]);
+
+	const [[, update]] = callsTo(calls, 'plans', 'updateOne');
+	assert.strictEqual(update.$set.price, 12);
+	assert.deepStrictEqual(update.$unset, { stripePriceId: '' });
+});
+
+test('archives plans that payments refer to instead of deleting them', async (t) => {
+	const calls = mockDb(t, {
+		users: { findOne: findUser, countDocuments: async () => 0 },
+		plans: { findOne: async () => monthly, updateOne: async () => ({ modifiedCount: 1 }) },
+		payments: { countDocuments: async () => 3 },
+	});
+	mockStripe(t, 'prices', 'update', async () => ({}));
+
+	const response = await request('DELETE', `/plans/${monthly._id}`, { token: tokenFor(admin) });
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(response.body.archived, true);
+	assert.strictEqual(callsTo(calls, 'plans', 'updateOne')[0][1].$set.status, 'archived');
+	assert.strictEqual(callsTo(calls, 'plans', 'deleteOne').length, 0);
+});
+
+test('deletes plans nothing refers to', async (t) => {
+	const calls = mockDb(t, {
+		users: { findOne: findUser, countDocuments: async () => 0 },
+		plans: { findOne: async () => ({ ...monthly, stripePriceId: null }), deleteOne: async () => ({ deletedCount: 1 }) },
+		payments: { countDocuments: async () => 0 },
+	});
+
+	const response = await request('DELETE', `/plans/${monthly._id}`, { token: tokenFor(admin) });
+	assert.strictEqual(response.body.archived, false);
+	assert.deepStrictEqual(callsTo(calls, 'plans', 'deleteOne')[0][0], { _id: monthly._id });
+});
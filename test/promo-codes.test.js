@@ -0,0 +1,193 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, stripe, mockDb, callsTo, mockStripe, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const user = { _id: new ObjectId(), email: 'reader@example.com', role: 'user' };
+const admin = { _id: new ObjectId(), email: 'admin@example.com', role: 'admin' };
+const plan = {
+	_id: new ObjectId(),
+	name: 'Monthly',
+	price: 10,
+	duration: 1,
+	durationUnit: 'months',
+	status: 'active',
+	stripePriceId: 'price_1',
+};
+const promo = {
+	_id: new ObjectId(),
+	code: 'SPRING',
+	discountType: 'percent',
+	discountValue: 20,
+	active: true,
+	maxRedemptions: 1,
+	perUserLimit: 1,
+	redemptionCount: 0,
+	stripeCouponId: 'coupon_1',
+};
+
+const sendEvent = (event) => {
+	const payload = JSON.stringify(event);
+	const signature = stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+	return request('POST', '/webhooks/stripe', { body: payload, headers: { 'stripe-signature': signature } });
+};
+
+//? Collections for a checkout with a promo code, `reserved` is the result of the guarded $inc on the code
+const checkoutDb = (t, { reserved = 1, used = () => 0 } = {}) =>
+	mockDb(t, {
+		plans: { findOne: async () => plan },
+		users: { findOne: async () => ({ ...user, stripeCustomerId: 'cus_1' }) },
+		promoCodes: {
+			findOne: async () => promo,
+			updateOne: async () => ({ matchedCount: reserved, modifiedCount: reserved }),
+		},
+		promoRedemptions: {
+			countDocuments: async () => used(),
+			insertOne: async () => ({ insertedId: new ObjectId() }),
+		},
+	});
+
+test('reserves a redemption when a checkout with a promo code starts', async (t) => {
+	const calls = checkoutDb(t);
+	const sessions = mockStripe(t, 'checkout.sessions', 'create', async () => ({ id: 'cs_1' }));
+
+	const response = await request('POST', '/create-payment-intent', {
+		token: tokenFor(user),
+		body: { planId: plan._id.toString(), promoCode: 'spring' },
+	});
+	assert.strictEqual(response.status, 200);
+
+	const [params] = sessions.mock.calls[0].arguments;
+	assert.deepStrictEqual(params.discounts, [{ coupon: 'coupon_1' }]);
+	assert.ok(params.expires_at * 1000 <= Date.now() + 60 * 60 * 1000);
+
+	const [[filter, update]] = callsTo(calls, 'promoCodes', 'updateOne');
+	assert.deepStrictEqual(filter._id, promo._id);
+	assert.ok(filter.$or, 'the increment is guarded by the redemption limit');
+	assert.deepStrictEqual(update, { $inc: { redemptionCount: 1 } });
+
+	const [[redemption]] = callsTo(calls, 'promoRedemptions', 'insertOne');
+	assert.strictEqual(redemption.status, 'reserved');
+	assert.strictEqual(redemption.checkoutSessionId, 'cs_1');
+	assert.strictEqual(redemption.email, user.email);
+});
+
+test('expires the session when the last redemption was taken in the meantime', async (t) => {
+	const calls = checkoutDb(t, { reserved: 0 });
+	mockStripe(t, 'checkout.sessions', 'create', async () => ({ id: 'cs_2' }));
+	const expire = mockStripe(t, 'checkout.sessions', 'expire', async () => ({ id: 'cs_2', status: 'expired' }));
+
+	const response = await request('POST', '/create-payment-intent', {
+		token: tokenFor(user),
+		body: { planId: plan._id.toString(), promoCode: 'SPRING' },
+	});
+	assert.strictEqual(response.status, 400);
+	assert.strictEqual(response.body.message, 'This promo code has been fully redeemed');
+	assert.deepStrictEqual(expire.mock.calls[0].arguments, ['cs_2']);
+	assert.strictEqual(callsTo(calls, 'promoRedemptions', 'insertOne').length, 0);
+});
+
+test('enforces the per-user limit again when reserving', async (t) => {
+	// The up-front check passes, the count in the transaction sees a reservation made in the meantime
+	let counts = 0;
+	checkoutDb(t, { used: () => counts++ });
+	mockStripe(t, 'checkout.sessions', 'create', async () => ({ id: 'cs_3' }));
+	const expire = mockStripe(t, 'checkout.sessions', 'expire', async () => ({}));
+
+	const response = await request('POST', '/create-payment-intent', {
+		token: tokenFor(user),
+		body: { planId: plan._id.toString(), promoCode: 'SPRING' },
+	});
+	assert.strictEqual(response.status, 400);
+	assert.strictEqual(response.body.message, 'You have already used this promo code');
+	assert.strictEqual(expire.mock.callCount(), 1);
+});
+
+test('releases the reservation when the checkout session expires', async (t) => {
+	const redemptionId = new ObjectId();
+	const calls = mockDb(t, {
+		stripeEvents: { insertOne: async () => ({}) },
+		promoRedemptions: { findOneAndDelete: async () => ({ _id: redemptionId, promoCodeId: promo._id }) },
+		promoCodes: { updateOne: async () => ({ modifiedCount: 1 }) },
+	});
+
+	const session = { id: 'cs_1', metadata: { promoCodeId: promo._id.toString(), email: user.email } };
+	const response = await sendEvent({ id: 'evt_1', type: 'checkout.session.expired', data: { object: session } });
+	assert.strictEqual(response.status, 200);
+	assert.deepStrictEqual(callsTo(calls, 'promoRedemptions', 'findOneAndDelete'), [
+		[{ checkoutSessionId: 'cs_1', status: 'reserved' }],
+	]);
+	assert.deepStrictEqual(callsTo(calls, 'promoCodes', 'updateOne'), [
+		[{ _id: promo._id }, { $inc: { redemptionCount: -1 } }],
+	]);
+});
+
+test('confirms a reserved redemption on completion without counting it twice', async (t) => {
+	const calls = mockDb(t, {
+		stripeEvents: { insertOne: async () => ({}) },
+		users: { updateOne: async () => ({}), findOneAndUpdate: async () => null },
+		plans: { findOne: async () => plan },
+		promoRedemptions: { updateOne: async () => ({ matchedCount: 1, modifiedCount: 1, upsertedCount: 0 }) },
+	});
+	mockStripe(t, 'subscriptions', 'retrieve', async () => ({
+		id: 'sub_1',
+		customer: 'cus_1',
+		status: 'active',
+		current_period_end: Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60,
+		items: { data: [{ price: { id: 'price_1' } }] },
+	}));
+
+	const session = {
+		id: 'cs_1',
+		mode: 'subscription',
+		subscription: 'sub_1',
+		customer: 'cus_1',
+		client_reference_id: user._id.toString(),
+		total_details: { amount_discount: 200 },
+		metadata: { promoCodeId: promo._id.toString(), promoCode: 'SPRING', email: user.email },
+	};
+	const response = await sendEvent({ id: 'evt_2', type: 'checkout.session.completed', data: { object: session } });
+	assert.strictEqual(response.status, 200);
+
+	const [[filter, update]] = callsTo(calls, 'promoRedemptions', 'updateOne');
+	assert.deepStrictEqual(filter, { checkoutSessionId: 'cs_1' });
+	assert.strictEqual(update.$set.status, 'redeemed');
+	assert.strictEqual(update.$set.discount, 200);
+	assert.strictEqual(callsTo(calls, 'promoCodes', 'updateOne').length, 0);
+});
+
+test('refuses switching a code to percent while its value is over 100', async (t) => {
+	const fixed = { ...promo, discountType: 'fixed', discountValue: 150 };
+	const calls = mockDb(t, {
+		users: { findOne: async () => admin },
+		promoCodes: { findOne: async () => fixed, updateOne: async () => ({ modifiedCount: 1 }) },
+	});
+
+	const response = await request('PATCH', `/admin/promo-codes/${promo._id}`, {
+		token: tokenFor(admin),
+		body: { discountType: 'percent' },
+	});
+	assert.strictEqual(response.status, 400);
+	assert.strictEqual(callsTo(calls, 'promoCodes', 'updateOne').length, 0);
+});
+
+test('switches a code to percent when a valid value comes with it', async (t) => {
+	const fixed = { ...promo, discountType: 'fixed', discountValue: 150 };
+	const del = mockStripe(t, 'coupons', 'del', async () => ({ deleted: true }));
+	const calls = mockDb(t, {
+		users: { findOne: async () => admin },
+		promoCodes: { findOne: async () => fixed, updateOne: async () => ({ modifiedCount: 1 }) },
+	});
+
+	const response = await request('PATCH', `/admin/promo-codes/${promo._id}`, {
+		token: tokenFor(admin),
+		body: { discountType: 'percent', discountValue: 25 },
+	});
+	assert.strictEqual(response.status, 200);
+	const [[, update]] = callsTo(calls, 'promoCodes', 'updateOne');
+	assert.strictEqual(update.$set.discountType, 'percent');
+	assert.strictEqual(update.$set.discountValue, 25);
+	assert.deepStrictEqual(update.$unset, { stripeCouponId: '' });
+	assert.deepStrictEqual(del.mock.calls[0].arguments, ['coupon_1']);
+});
@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, byEmail, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const manager = { _id: new ObjectId(), email: 'manager@example.com', role: 'publisher-manager' };
+const author = { _id: new ObjectId(), email: 'author@example.com', name: 'Author', role: 'user' };
+const daily = { _id: new ObjectId(), name: 'Daily' };
+const weekly = { _id: new ObjectId(), name: 'Weekly' };
+
+const findUser = byEmail(manager, author);
+
+//? Publishers that exist, looked up by id. Name lookups find no duplicates
+const publishersDb = (t, existing, collections = {}) =>
+	mockDb(t, {
+		users: { findOne: findUser },
+		...collections,
+		publishers: {
+			findOne: async (filter) =>
+				filter._id instanceof ObjectId ? existing.find((publisher) => publisher._id.equals(filter._id)) || null : null,
+			updateOne: async (filter) => ({
+				matchedCount: existing.some((publisher) => publisher._id.equals(filter._id)) ? 1 : 0,
+			}),
+			deleteOne: async () => ({ deletedCount: 1 }),
+			...collections.publishers,
+		},
+	});
+
+const inSession = (args) => Boolean(args.at(-1)?.session);
+
+test('renames a publisher and its articles in one transaction', async (t) => {
+	const calls = publishersDb(t, [daily], { articles: { updateMany: async () => ({ modifiedCount: 3 }) } });
+
+	const response = await request('PATCH', `/publishers/${daily._id}`, {
+		token: tokenFor(manager),
+		body: { name: 'The Daily' },
+	});
+	assert.strictEqual(response.status, 200);
+
+	const [publisherUpdate] = callsTo(calls, 'publishers', 'updateOne');
+	const [articlesUpdate] = callsTo(calls, 'articles', 'updateMany');
+	assert.strictEqual(publisherUpdate[1].$set.name, 'The Daily');
+	assert.deepStrictEqual(articlesUpdate[1], { $set: { publisherName: 'The Daily' } });
+	assert.ok(inSession(publisherUpdate) && inSession(articlesUpdate));
+});
+
+test('counts the articles of a publisher inside the delete transaction', async (t) => {
+	const calls = publishersDb(t, [daily], { articles: { countDocuments: async () => 2 } });
+
+	const response = await request('DELETE', `/publishers/${daily._id}`, { token: tokenFor(manager) });
+	assert.strictEqual(response.status, 409);
+	assert.deepStrictEqual(response.body.data, { articleCount: 2 });
+
+	assert.ok(inSession(callsTo(calls, 'articles', 'countDocuments')[0]));
+	assert.strictEqual(callsTo(calls, 'publishers', 'deleteOne').length, 0);
+});
+
+test('moves articles to the reassignment target, touching it so it cannot be deleted meanwhile', async (t) => {
+	const calls = publishersDb(t, [daily, weekly], {
+		articles: { countDocuments: async () => 2, updateMany: async () => ({ modifiedCount: 2 }) },
+		follows: { deleteMany: async () => ({ deletedCount: 0 }) },
+	});
+
+	const response = await request('DELETE', `/publishers/${daily._id}`, {
+		token: tokenFor(manager),
+		body: { reassignTo: weekly._id.toString() },
+	});
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(response.body.message, 'Publisher deleted and 2 articles moved to Weekly');
+
+	const [touch] = callsTo(calls, 'publishers', 'updateOne');
+	assert.deepStrictEqual(touch[0], { _id: weekly._id });
+	assert.ok(inSession(touch));
+	const [[, move]] = callsTo(calls, 'articles', 'updateMany');
+	assert.deepStrictEqual(move.$set, { publisher: weekly._id, publisherName: 'Weekly' });
+	assert.ok(inSession(callsTo(calls, 'publishers', 'deleteOne')[0]));
+});
+
+test('keeps the publisher when the reassignment target is deleted meanwhile', async (t) => {
+	const calls = publishersDb(t, [daily, weekly], {
+		articles: { countDocuments: async () => 2 },
+		publishers: { updateOne: async () => ({ matchedCount: 0 }) },
+	});
+
+	const response = await request('DELETE', `/publishers/${daily._id}`, {
+		token: tokenFor(manager),
+		body: { reassignTo: weekly._id.toString() },
+	});
+	assert.strictEqual(response.status, 400);
+	assert.strictEqual(callsTo(calls, 'articles', 'updateMany').length, 0);
+	assert.strictEqual(callsTo(calls, 'publishers', 'deleteOne').length, 0);
+});
+
+const newArticle = (publisher) => ({
+	title: 'New article',
+	image: 'https://example.com/image.png',
+	publisher: publisher._id.toString(),
+	tags: [{ value: 'news', label: 'News' }],
+	description: 'Description',
+	content: 'Content',
+	authorEmail: author.email,
+});
+
+test('touches the publisher in the same transaction as a new article', async (t) => {
+	const calls = publishersDb(t, [daily], {
+		articles: { countDocuments: async () => 0, insertOne: async () => ({ insertedId: new ObjectId() }) },
+	});
+
+	const response = await request('POST', '/articles', { token: tokenFor(author), body: newArticle(daily) });
+	assert.strictEqual(response.status, 201);
+
+	const [touch] = callsTo(calls, 'publishers', 'updateOne');
+	assert.deepStrictEqual(touch[0], { _id: daily._id });
+	assert.ok(inSession(touch));
+	const [insert] = callsTo(calls, 'articles', 'insertOne');
+	assert.strictEqual(insert[0].publisherName, 'Daily');
+	assert.ok(inSession(insert));
+});
+
+test('does not add an article to a publisher deleted meanwhile', async (t) => {
+	const calls = publishersDb(t, [daily], {
+		articles: { countDocuments: async () => 0 },
+		publishers: { updateOne: async () => ({ matchedCount: 0 }) },
+	});
+
+	const response = await request('POST', '/articles', { token: tokenFor(author), body: newArticle(daily) });
+	assert.strictEqual(response.status, 400);
+	assert.strictEqual(callsTo(calls, 'articles', 'insertOne').length, 0);
+});
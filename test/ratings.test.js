@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, cursor, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const reader = { _id: new ObjectId(), email: 'reader@example.com', role: 'user' };
+const articleId = new ObjectId();
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+const mockRatings = (t, { claimed, legacy = [], inserted = () => ({}) }) =>
+	mockDb(t, {
+		articles: {
+			findOne: async () => ({ _id: articleId }),
+			updateOne: async (filter) => ({ modifiedCount: filter.ratingCount ? Number(claimed) : 1 }),
+		},
+		comments: { aggregate: () => cursor(legacy) },
+		ratings: { insertOne: async (doc) => inserted(doc), findOne: async () => null },
+	});
+
+test('imports legacy comment ratings once and counts only the ones it inserted', async (t) => {
+	const calls = mockRatings(t, {
+		claimed: true,
+		legacy: [
+			{ _id: 'old@example.com', rating: 4, createdAt: new Date('2024-01-01') },
+			{ _id: 'again@example.com', rating: 2, createdAt: new Date('2024-01-02') },
+		],
+		// again@ rated through the new endpoint while the import ran
+		inserted: async (doc) => {
+			if (doc.userEmail === 'again@example.com') {
+				throw duplicateKey();
+			}
+			return {};
+		},
+	});
+
+	const response = await request('GET', `/articles/${articleId}/rating`, { token: tokenFor(reader) });
+	assert.strictEqual(response.status, 200);
+
+	const [claim, ...updates] = callsTo(calls, 'articles', 'updateOne');
+	assert.deepStrictEqual(claim[0], { _id: articleId, ratingCount: { $exists: false } });
+	assert.deepStrictEqual(claim[1].$set, {
+		ratingCount: 0,
+		ratingSum: 0,
+		ratingDistribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+	});
+	const increments = updates.filter(([, update]) => update.$inc).map(([, update]) => update.$inc);
+	assert.deepStrictEqual(increments, [{ ratingCount: 1, ratingSum: 4, 'ratingDistribution.4': 1 }]);
+});
+
+test('leaves the import to the request that claimed it', async (t) => {
+	const calls = mockRatings(t, { claimed: false });
+
+	const response = await request('GET', `/articles/${articleId}/rating`, { token: tokenFor(reader) });
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(callsTo(calls, 'comments', 'aggregate').length, 0);
+	assert.strictEqual(callsTo(calls, 'ratings', 'insertOne').length, 0);
+});
+
+test('rejects ratings sent with a comment on an unpublished article', async (t) => {
+	for (const article of [
+		{ _id: articleId, status: 'pending' },
+		{ _id: articleId, status: 'approved', publishAt: new Date(Date.now() + 60 * 60 * 1000) },
+	]) {
+		const calls = mockDb(t, {
+			articles: { findOne: async () => article },
+			users: { findOne: async () => reader },
+		});
+
+		const response = await request('POST', `/articles/${articleId}/comments`, {
+			token: tokenFor(reader),
+			body: { comment: 'Great read', rating: 5 },
+		});
+		assert.strictEqual(response.status, 400);
+		assert.strictEqual(callsTo(calls, 'comments', 'insertOne').length, 0);
+		t.mock.restoreAll();
+	}
+});
@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, cursor, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const reader = { _id: new ObjectId(), email: 'reader@example.com', name: 'Reader', role: 'user' };
+const [first, second, gone] = [new ObjectId(), new ObjectId(), new ObjectId()];
+
+const readingList = (fields = {}) => ({
+	_id: new ObjectId(),
+	ownerEmail: reader.email,
+	name: 'Weekend',
+	articleIds: [first, second],
+	isPublic: false,
+	shareToken: null,
+	...fields,
+});
+
+test('bookmarks an article once per reader', async (t) => {
+	let upserted = 1;
+	const calls = mockDb(t, {
+		articles: { findOne: async () => ({ _id: first }) },
+		bookmarks: { updateOne: async () => ({ upsertedCount: upserted-- > 0 ? 1 : 0 }) },
+	});
+
+	const created = await request('POST', `/articles/${first}/bookmark`, { token: tokenFor(reader) });
+	assert.strictEqual(created.status, 201);
+	const again = await request('POST', `/articles/${first}/bookmark`, { token: tokenFor(reader) });
+	assert.strictEqual(again.status, 200);
+	assert.strictEqual(again.body.message, 'Article already bookmarked');
+
+	const [[articleFilter]] = callsTo(calls, 'articles', 'findOne');
+	assert.strictEqual(articleFilter.status, 'approved');
+});
+
+test('refuses a second list with the same name', async (t) => {
+	mockDb(t, {
+		users: { findOne: async () => reader },
+		readingLists: {
+			insertOne: async () => {
+				throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+			},
+		},
+	});
+
+	const response = await request('POST', '/reading-lists', { token: tokenFor(reader), body: { name: 'Weekend' } });
+	assert.strictEqual(response.status, 409);
+});
+
+test('shows a list with its readable articles in list order', async (t) => {
+	const list = readingList({ articleIds: [second, gone, first] });
+	mockDb(t, {
+		readingLists: { findOne: async () => list },
+		articles: {
+			find: () =>
+				cursor([
+					{ _id: first, title: 'First' },
+					{ _id: second, title: 'Second' },
+				]),
+		},
+	});
+
+	const response = await request('GET', `/reading-lists/${list._id}`, { token: tokenFor(reader) });
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(response.body.data.articleCount, 3);
+	assert.deepStrictEqual(
+		response.body.data.articles.map((article) => article.title),
+		['Second', 'First']
+	);
+	assert.strictEqual(response.body.data.articleIds, undefined);
+});
+
+test('creates a share link when shared and revokes it when unshared', async (t) => {
+	const list = readingList();
+	const calls = mockDb(t, {
+		readingLists: { findOne: async () => list, updateOne: async () => ({ modifiedCount: 1 }) },
+	});
+
+	const shared = await request('PATCH', `/reading-lists/${list._id}`, {
+		token: tokenFor(reader),
+		body: { isPublic: true },
+	});
+	assert.strictEqual(shared.status, 200);
+	assert.match(shared.body.data.shareToken, /^[\w-]{22}$/);
+
+	const unshared = await request('PATCH', `/reading-lists/${list._id}`, {
+		token: tokenFor(reader),
+		body: { isPublic: false },
+	});
+	assert.strictEqual(unshared.body.data.shareToken, null);
+	assert.deepStrictEqual(
+		callsTo(calls, 'readingLists', 'updateOne').map(([, update]) => update.$set.isPublic),
+		[true, false]
+	);
+});
+
+test('adds an article once', async (t) => {
+	const list = readingList({ articleIds: [first] });
+	const calls = mockDb(t, {
+		readingLists: { findOne: async () => list, updateOne: async () => ({ modifiedCount: 0 }) },
+		articles: { findOne: async () => ({ _id: first }) },
+	});
+
+	const response = await request('POST', `/reading-lists/${list._id}/articles`, {
+		token: tokenFor(reader),
+		body: { articleId: first.toString() },
+	});
+	assert.strictEqual(response.status, 409);
+	assert.strictEqual(response.body.message, 'Article is already in this list');
+
+	const [[filter]] = callsTo(calls, 'readingLists', 'updateOne');
+	assert.deepStrictEqual(filter.articleIds, { $ne: first });
+	assert.deepStrictEqual(filter['articleIds.499'], { $exists: false });
+});
+
+test('reorders only to a permutation of the current articles', async (t) => {
+	const list = readingList();
+	const calls = mockDb(t, {
+		readingLists: { findOne: async () => list, updateOne: async () => ({ matchedCount: 1 }) },
+	});
+
+	const missing = await request('PUT', `/reading-lists/${list._id}/order`, {
+		token: tokenFor(reader),
+		body: { articleIds: [second.toString(), second.toString()] },
+	});
+	assert.strictEqual(missing.status, 400);
+
+	const response = await request('PUT', `/reading-lists/${list._id}/order`, {
+		token: tokenFor(reader),
+		body: { articleIds: [second.toString(), first.toString()] },
+	});
+	assert.strictEqual(response.status, 200);
+
+	const [[filter, update]] = callsTo(calls, 'readingLists', 'updateOne');
+	assert.deepStrictEqual(filter, { _id: list._id, articleIds: [first, second] });
+	assert.deepStrictEqual(update.$set.articleIds, [second, first]);
+});
@@ -0,0 +1,188 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, byEmail, cursor, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const author = { _id: new ObjectId(), email: 'author@example.com', name: 'Author', role: 'user' };
+const stranger = { _id: new ObjectId(), email: 'stranger@example.com', name: 'Stranger', role: 'user' };
+
+const article = {
+	_id: new ObjectId(),
+	title: 'Original title',
+	content: 'Original content',
+	status: 'approved',
+	authorEmail: author.email,
+	authorName: author.name,
+	revisionCount: 3,
+};
+
+const findUser = byEmail(author, stranger);
+
+test('archives a deleted article and keeps its revisions', async (t) => {
+	const calls = mockDb(t, {
+		users: { findOne: findUser },
+		articles: {
+			findOne: async () => article,
+			updateOne: async () => ({ matchedCount: 1, modifiedCount: 1 }),
+		},
+	});
+
+	const response = await request('DELETE', `/articles/${article._id}`, { token: tokenFor(author) });
+	assert.strictEqual(response.status, 200);
+
+	const [[filter, update]] = callsTo(calls, 'articles', 'updateOne');
+	assert.deepStrictEqual(filter, { _id: article._id, status: 'approved' });
+	assert.strictEqual(update.$set.status, 'archived');
+	assert.strictEqual(update.$set.isPublished, false);
+	assert.strictEqual(callsTo(calls, 'articles', 'deleteOne').length, 0);
+	assert.strictEqual(callsTo(calls, 'articleRevisions', 'deleteMany').length, 0);
+});
+
+test('only lets the author or an editor delete an article', async (t) => {
+	const calls = mockDb(t, {
+		users: { findOne: findUser },
+		articles: { findOne: async () => article },
+	});
+
+	const response = await request('DELETE', `/articles/${article._id}`, { token: tokenFor(stranger) });
+	assert.strictEqual(response.status, 403);
+	assert.strictEqual(callsTo(calls, 'articles', 'updateOne').length, 0);
+});
+
+const revisions = [3, 2, 1].map((rev) => ({
+	_id: new ObjectId(),
+	articleId: article._id,
+	rev,
+	changedFields: rev === 1 ? [] : ['title'],
+	editorEmail: author.email,
+}));
+
+//? A find cursor over `docs` that applies the sort, skip and limit it's given
+const pagedCursor = (docs, applied) => {
+	let items = [...docs];
+	const chain = {
+		sort: (sort) => {
+			applied.sort = sort;
+			const direction = sort.rev;
+			items.sort((a, b) => (a.rev - b.rev) * direction);
+			return chain;
+		},
+		skip: (count) => {
+			applied.skip = count;
+			items = items.slice(count);
+			return chain;
+		},
+		limit: (count) => {
+			applied.limit = count;
+			items = items.slice(0, count);
+			return chain;
+		},
+		toArray: async () => items,
+	};
+	return chain;
+};
+
+test('lists revisions newest first, a page at a time', async (t) => {
+	const applied = {};
+	const calls = mockDb(t, {
+		users: { findOne: findUser },
+		articles: { findOne: async () => article },
+		articleRevisions: {
+			find: () => pagedCursor([...revisions].reverse(), applied),
+			countDocuments: async () => revisions.length,
+		},
+	});
+
+	const response = await request('GET', `/articles/${article._id}/revisions?page=2&limit=2`, {
+		token: tokenFor(author),
+	});
+	assert.strictEqual(response.status, 200);
+	assert.deepStrictEqual(applied, { sort: { rev: -1, _id: -1 }, skip: 2, limit: 2 });
+	assert.deepStrictEqual(
+		response.body.data.map((revision) => revision.rev),
+		[1]
+	);
+	assert.strictEqual(response.body.total, 3);
+	assert.strictEqual(response.body.totalPages, 2);
+
+	const [[filter, options]] = callsTo(calls, 'articleRevisions', 'find');
+	assert.deepStrictEqual(filter, { articleId: article._id });
+	assert.deepStrictEqual(options.projection, { snapshot: 0 });
+});
+
+test('pages revisions by cursor', async (t) => {
+	mockDb(t, {
+		users: { findOne: findUser },
+		articles: { findOne: async () => article },
+		articleRevisions: { find: () => pagedCursor(revisions, {}) },
+	});
+
+	const response = await request('GET', `/articles/${article._id}/revisions?paginate=cursor&limit=2`, {
+		token: tokenFor(author),
+	});
+	assert.strictEqual(response.status, 200);
+	assert.deepStrictEqual(
+		response.body.data.map((revision) => revision.rev),
+		[3, 2]
+	);
+	assert.ok(response.body.nextCursor);
+	assert.strictEqual(response.body.prevCursor, null);
+});
+
+test('diffs only the fields that changed between two revisions', async (t) => {
+	mockDb(t, {
+		users: { findOne: findUser },
+		articles: { findOne: async () => article },
+		articleRevisions: {
+			find: () =>
+				cursor([
+					{ rev: 1, snapshot: { title: 'Original title', content: 'Same content', tags: ['news'] } },
+					{ rev: 3, snapshot: { title: 'New title', content: 'Same content', tags: ['news'] } },
+				]),
+		},
+	});
+
+	const response = await request('GET', `/articles/${article._id}/revisions/diff?from=1&to=3`, {
+		token: tokenFor(author),
+	});
+	assert.strictEqual(response.status, 200);
+	assert.deepStrictEqual(response.body.data.changes, [{ field: 'title', from: 'Original title', to: 'New title' }]);
+
+	const unchanged = await request('GET', `/articles/${article._id}/revisions/diff?from=1&to=1`, {
+		token: tokenFor(author),
+	});
+	assert.strictEqual(unchanged.status, 200);
+	assert.deepStrictEqual(unchanged.body.data.changes, []);
+});
+
+test('does not serve a revision of another article', async (t) => {
+	const otherRevision = { _id: new ObjectId(), articleId: new ObjectId(), rev: 1, snapshot: { title: 'Secret' } };
+	const calls = mockDb(t, {
+		users: { findOne: findUser },
+		articles: { findOne: async () => article },
+		articleRevisions: {
+			findOne: async (filter) =>
+				filter.articleId.equals(otherRevision.articleId) && filter.rev === otherRevision.rev ? otherRevision : null,
+		},
+	});
+
+	const response = await request('GET', `/articles/${article._id}/revisions/1`, { token: tokenFor(author) });
+	assert.strictEqual(response.status, 404);
+
+	const [[filter]] = callsTo(calls, 'articleRevisions', 'findOne');
+	assert.deepStrictEqual(filter, { articleId: article._id, rev: 1 });
+});
+
+test('keeps revisions from anyone who cannot edit the article', async (t) => {
+	const calls = mockDb(t, {
+		users: { findOne: findUser },
+		articles: { findOne: async () => article },
+	});
+
+	for (const path of ['/revisions', '/revisions/diff?from=1&to=2', '/revisions/1']) {
+		const response = await request('GET', `/articles/${article._id}${path}`, { token: tokenFor(stranger) });
+		assert.strictEqual(response.status, 403, path);
+	}
+	assert.strictEqual(calls.filter((call) => call.collection === 'articleRevisions').length, 0);
+});
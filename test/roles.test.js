@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, byEmail, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const admin = { _id: new ObjectId(), email: 'admin@example.com', role: 'admin' };
+const other = { _id: new ObjectId(), email: 'other@example.com', role: 'admin' };
+const editor = { _id: new ObjectId(), email: 'editor@example.com', role: 'editor' };
+
+test('changes a role and tells the user', async (t) => {
+	const calls = mockDb(t, {
+		users: {
+			findOne: byEmail(admin, other),
+			findOneAndUpdate: async () => other,
+			countDocuments: async () => 1,
+		},
+		notifications: { insertOne: async () => ({}) },
+	});
+
+	const response = await request('PATCH', `/admin/users/${other._id}/role`, {
+		token: tokenFor(admin),
+		body: { role: 'moderator' },
+	});
+	assert.strictEqual(response.status, 200);
+	assert.deepStrictEqual(callsTo(calls, 'users', 'findOneAndUpdate')[0][1].$set.role, 'moderator');
+	assert.strictEqual(callsTo(calls, 'users', 'updateOne').length, 0);
+	assert.strictEqual(callsTo(calls, 'notifications', 'insertOne')[0][0].type, 'role_changed');
+});
+
+test('undoes demoting the last admin', async (t) => {
+	// Whichever of two concurrent demotions counts last sees no admins left and reverts itself
+	const calls = mockDb(t, {
+		users: {
+			findOne: byEmail(admin),
+			findOneAndUpdate: async () => admin,
+			countDocuments: async () => 0,
+			updateOne: async () => ({ modifiedCount: 1 }),
+		},
+	});
+
+	const response = await request('PATCH', `/admin/users/${admin._id}/role`, {
+		token: tokenFor(admin),
+		body: { role: 'user' },
+	});
+	assert.strictEqual(response.status, 409);
+	assert.deepStrictEqual(callsTo(calls, 'users', 'updateOne'), [
+		[{ _id: admin._id, role: 'user' }, { $set: { role: 'admin' } }],
+	]);
+	assert.strictEqual(callsTo(calls, 'notifications', 'insertOne').length, 0);
+});
+
+test('only counts admins when an admin is demoted', async (t) => {
+	const calls = mockDb(t, {
+		users: { findOne: byEmail(admin), findOneAndUpdate: async () => editor },
+		notifications: { insertOne: async () => ({}) },
+	});
+
+	const response = await request('PATCH', `/make-admin/${editor._id}`, { token: tokenFor(admin) });
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(callsTo(calls, 'users', 'countDocuments').length, 0);
+});
+
+test('rejects unknown roles and callers without the permission', async (t) => {
+	mockDb(t, { users: { findOne: byEmail(admin, editor) } });
+
+	const unknown = await request('PATCH', `/admin/users/${other._id}/role`, {
+		token: tokenFor(admin),
+		body: { role: 'owner' },
+	});
+	assert.strictEqual(unknown.status, 400);
+
+	const forbidden = await request('PATCH', `/admin/users/${other._id}/role`, {
+		token: tokenFor(editor),
+		body: { role: 'admin' },
+	});
+	assert.strictEqual(forbidden.status, 403);
+});
+
+test('grants permissions by role', async (t) => {
+	mockDb(t, { users: { findOne: byEmail(editor) } });
+
+	const response = await request('GET', `/users/admin/${editor.email}`, { token: tokenFor(editor) });
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(response.body.isAdmin, false);
+	assert.deepStrictEqual(response.body.permissions, ['articles:review', 'articles:edit', 'articles:premium']);
+});
+
+test('answers a failed role lookup with a 500', async (t) => {
+	mockDb(t, {
+		users: {
+			findOne: async () => {
+				throw new Error('connection reset');
+			},
+		},
+	});
+
+	const response = await request('GET', `/users/admin/${editor.email}`, { token: tokenFor(editor) });
+	assert.strictEqual(response.status, 500);
+	assert.strictEqual(response.body.success, false);
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, byEmail, cursor, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+process.env.CRON_SECRET = 'cron-secret';
+
+const author = { _id: new ObjectId(), email: 'author@example.com', role: 'user' };
+const reader = { _id: new ObjectId(), email: 'reader@example.com', role: 'user' };
+const moderator = { _id: new ObjectId(), email: 'moderator@example.com', role: 'moderator' };
+
+const findUser = byEmail(author, reader, moderator);
+
+//? Collections for a scheduler run where only `due` articles have work to do
+const jobsDb = (t, due = []) =>
+	mockDb(t, {
+		articles: { find: () => cursor(due), updateMany: async () => ({ modifiedCount: due.length }) },
+		users: { find: () => cursor([]), findOne: findUser },
+		emailOutbox: { find: () => cursor([]) },
+		notifications: { insertOne: async () => ({}) },
+	});
+
+test('only runs the scheduled jobs for the cron secret', async (t) => {
+	const calls = jobsDb(t);
+
+	const missing = await request('GET', '/cron/scheduled-jobs');
+	assert.strictEqual(missing.status, 401);
+	const wrong = await request('GET', '/cron/scheduled-jobs', { token: 'not-the-secret' });
+	assert.strictEqual(wrong.status, 401);
+	assert.strictEqual(calls.length, 0);
+
+	const response = await request('GET', '/cron/scheduled-jobs', { token: 'cron-secret' });
+	assert.strictEqual(response.status, 200);
+	assert.deepStrictEqual(
+		response.body.data.map((job) => job.success),
+		[true, true, true]
+	);
+	assert.deepStrictEqual(callsTo(calls, 'users', 'createIndex'), [[{ subscriptionEnd: 1 }, {}]]);
+});
+
+test('publishes articles whose publish time has passed and tells their authors', async (t) => {
+	const due = [{ _id: new ObjectId(), title: 'Embargoed', authorEmail: author.email }];
+	const calls = jobsDb(t, due);
+
+	const response = await request('GET', '/cron/scheduled-jobs', { token: 'cron-secret' });
+	assert.strictEqual(response.status, 200);
+
+	const [[filter, pipeline]] = callsTo(calls, 'articles', 'updateMany');
+	assert.deepStrictEqual(filter, { _id: { $in: [due[0]._id] }, isPublished: false });
+	assert.deepStrictEqual(pipeline, [{ $set: { isPublished: true, publishedAt: '$publishAt' } }]);
+	const [[notification]] = callsTo(calls, 'notifications', 'insertOne');
+	assert.strictEqual(notification.type, 'article_published');
+	assert.strictEqual(notification.userEmail, author.email);
+});
+
+test('reports a failing job without stopping the others', async (t) => {
+	mockDb(t, {
+		articles: {
+			find: () => {
+				throw new Error('database unavailable');
+			},
+		},
+		users: { find: () => cursor([]) },
+		emailOutbox: { find: () => cursor([]) },
+	});
+	t.mock.method(console, 'error', () => {});
+
+	const response = await request('GET', '/cron/scheduled-jobs', { token: 'cron-secret' });
+	assert.strictEqual(response.body.success, false);
+	assert.deepStrictEqual(
+		response.body.data.map((job) => job.success),
+		[false, true, true]
+	);
+});
+
+//? The $match stage of the listing pipeline for a request
+const listingMatch = async (t, token) => {
+	const calls = mockDb(t, {
+		users: { findOne: findUser },
+		articles: { aggregate: () => cursor([]), countDocuments: async () => 0 },
+	});
+	const response = await request('GET', '/articles?status=approved', { token });
+	assert.strictEqual(response.status, 200);
+	return callsTo(calls, 'articles', 'aggregate')[0][0][0].$match;
+};
+
+test('shows reviewers scheduled articles when they filter by status', async (t) => {
+	const match = await listingMatch(t, tokenFor(moderator));
+	assert.deepStrictEqual(match, { status: { $in: ['approved'] } });
+});
+
+test('hides scheduled articles from everyone else', async (t) => {
+	for (const token of [undefined, tokenFor(reader)]) {
+		const match = await listingMatch(t, token);
+		assert.ok(match.publishAt, 'the embargo filter is applied');
+	}
+});
+
+test('hides an embargoed article from readers but not from its author', async (t) => {
+	const article = { _id: new ObjectId(), authorEmail: author.email, publishAt: new Date(Date.now() + 60 * 60 * 1000) };
+	mockDb(t, { articles: { findOne: async () => article }, users: { findOne: findUser } });
+
+	const hidden = await request('GET', `/articles/${article._id}`, { token: tokenFor(reader) });
+	assert.strictEqual(hidden.status, 404);
+	const shown = await request('GET', `/articles/${article._id}`, { token: tokenFor(author) });
+	assert.strictEqual(shown.status, 200);
+});
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { mockDb, callsTo, cursor, useServer } = require('./helpers');
+
+const request = useServer();
+
+// Runs in its own process, the text index is only checked on the first search
+test('reuses an existing text index with the same weights whatever its name', async (t) => {
+	const calls = mockDb(t, {
+		articles: {
+			indexes: async () => [
+				{ name: '_id_', key: { _id: 1 } },
+				{
+					name: 'title_text_description_text_content_text',
+					key: { _fts: 'text', _ftsx: 1 },
+					weights: { content: 1, description: 5, title: 10 },
+				},
+			],
+			aggregate: () => cursor([]),
+			countDocuments: async () => 0,
+		},
+	});
+
+	const response = await request('GET', '/articles?search=climate');
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(callsTo(calls, 'articles', 'dropIndex').length, 0);
+	assert.strictEqual(callsTo(calls, 'articles', 'createIndex').length, 0);
+});
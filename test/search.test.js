@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, cursor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const article = {
+	_id: new ObjectId(),
+	title: 'Climate & policy explained',
+	description: 'What the new climate deal means',
+	content: 'The climate deal was signed on Monday. Critics say the policy goes too far.',
+	publishedAt: new Date(),
+	author: { name: 'Daily Herald' },
+};
+
+//? Collections for a search, `indexes` is what listIndexes returns for articles
+const searchDb = (t, indexes) =>
+	mockDb(t, {
+		articles: {
+			indexes: async () => indexes,
+			dropIndex: async () => ({}),
+			aggregate: () => cursor([{ ...article }]),
+			countDocuments: async () => 1,
+		},
+	});
+
+test('replaces a text index created some other way before searching', async (t) => {
+	const calls = searchDb(t, [
+		{ name: '_id_', key: { _id: 1 } },
+		{ name: 'title_text', key: { _fts: 'text', _ftsx: 1 }, weights: { title: 1 } },
+	]);
+
+	const response = await request('GET', '/articles?search=climate');
+	assert.strictEqual(response.status, 200);
+	assert.deepStrictEqual(callsTo(calls, 'articles', 'dropIndex'), [['title_text']]);
+	const [[keys, options]] = callsTo(calls, 'articles', 'createIndex');
+	assert.deepStrictEqual(keys, { title: 'text', description: 'text', content: 'text' });
+	assert.strictEqual(options.name, 'article_search');
+});
+
+test('checks the text index once per process', async (t) => {
+	const calls = searchDb(t, []);
+
+	const response = await request('GET', '/articles?search=climate');
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(callsTo(calls, 'articles', 'indexes').length, 0);
+});
+
+test('searches by relevance and highlights the matches', async (t) => {
+	const calls = searchDb(t, []);
+
+	const response = await request('GET', '/articles?search=climate%20-tax%20%22the%20policy%22');
+	assert.strictEqual(response.status, 200);
+
+	const [[pipeline]] = callsTo(calls, 'articles', 'aggregate');
+	assert.deepStrictEqual(pipeline[0].$match.$text, { $search: '"the policy" climate -tax' });
+	assert.ok(pipeline.some((stage) => stage.$sort?.score === -1));
+
+	const [{ highlights }] = response.body.data;
+	assert.strictEqual(highlights.title, '<mark>Climate</mark> &amp; policy explained');
+	assert.ok(highlights.content.some((snippet) => snippet.includes('<mark>the policy</mark>')));
+});
+
+test('lists by publish time without a search', async (t) => {
+	const calls = searchDb(t, []);
+
+	const response = await request('GET', '/articles?search=%20');
+	assert.strictEqual(response.status, 200);
+	const [[pipeline]] = callsTo(calls, 'articles', 'aggregate');
+	assert.strictEqual(pipeline[0].$match.$text, undefined);
+	assert.ok(pipeline.some((stage) => stage.$sort?.publishedAt === -1));
+});
@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, mockStripe, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const user = { _id: new ObjectId(), email: 'reader@example.com', name: 'Reader', role: 'user' };
+const monthly = {
+	_id: new ObjectId(),
+	name: 'Monthly',
+	price: 9.99,
+	duration: 1,
+	durationUnit: 'months',
+	status: 'active',
+};
+const legacy = { _id: new ObjectId(), name: 'Trial', price: 1, duration: 5, durationUnit: 'minute', status: 'active' };
+
+test('starts a recurring checkout, creating the Stripe price on first use', async (t) => {
+	const calls = mockDb(t, {
+		plans: { findOne: async () => monthly, updateOne: async () => ({ modifiedCount: 1 }) },
+		users: { findOne: async () => user, updateOne: async () => ({ modifiedCount: 1 }) },
+	});
+	mockStripe(t, 'products', 'create', async () => ({ id: 'prod_1' }));
+	const prices = mockStripe(t, 'prices', 'create', async () => ({ id: 'price_1' }));
+	mockStripe(t, 'customers', 'create', async () => ({ id: 'cus_1' }));
+	const sessions = mockStripe(t, 'checkout.sessions', 'create', async () => ({ id: 'cs_1' }));
+
+	const response = await request('POST', '/create-payment-intent', {
+		token: tokenFor(user),
+		body: { planId: monthly._id.toString() },
+	});
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(response.body.sessionId, 'cs_1');
+	assert.deepStrictEqual(prices.mock.calls[0].arguments[0].recurring, { interval: 'month', interval_count: 1 });
+
+	const [params] = sessions.mock.calls[0].arguments;
+	assert.strictEqual(params.mode, 'subscription');
+	assert.deepStrictEqual(params.line_items, [{ price: 'price_1', quantity: 1 }]);
+	assert.strictEqual(params.customer, 'cus_1');
+	assert.deepStrictEqual(callsTo(calls, 'plans', 'updateOne')[0][1], {
+		$set: { stripeProductId: 'prod_1', stripePriceId: 'price_1' },
+	});
+});
+
+test('refuses checkout for a legacy plan billed in minutes', async (t) => {
+	mockDb(t, {
+		plans: { findOne: async () => legacy },
+		users: { findOne: async () => user },
+	});
+	const sessions = mockStripe(t, 'checkout.sessions', 'create', async () => ({ id: 'cs_1' }));
+
+	const response = await request('POST', '/create-payment-intent', {
+		token: tokenFor(user),
+		body: { planId: legacy._id.toString() },
+	});
+	assert.strictEqual(response.status, 400);
+	assert.strictEqual(sessions.mock.callCount(), 0);
+});
+
+test('refuses switching a subscription to a legacy plan', async (t) => {
+	const subscriber = { ...user, stripeSubscriptionId: 'sub_1', subscriptionStatus: 'active' };
+	mockDb(t, {
+		plans: { findOne: async () => legacy },
+		users: { findOne: async () => subscriber },
+	});
+	const update = mockStripe(t, 'subscriptions', 'update', async () => ({}));
+
+	const response = await request('POST', '/subscription/change-plan', {
+		token: tokenFor(user),
+		body: { planId: legacy._id.toString() },
+	});
+	assert.strictEqual(response.status, 400);
+	assert.strictEqual(update.mock.callCount(), 0);
+});
+
+test('does not start a second subscription', async (t) => {
+	mockDb(t, {
+		plans: { findOne: async () => monthly },
+		users: { findOne: async () => ({ ...user, stripeSubscriptionId: 'sub_1', subscriptionStatus: 'active' }) },
+	});
+
+	const response = await request('POST', '/create-payment-intent', {
+		token: tokenFor(user),
+		body: { planId: monthly._id.toString() },
+	});
+	assert.strictEqual(response.status, 409);
+});
+
+test('does not let a running one-off pass be overwritten by a subscription', async (t) => {
+	const passEnd = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000);
+	mockDb(t, {
+		plans: { findOne: async () => monthly },
+		users: { findOne: async () => ({ ...user, hasSubscription: true, subscriptionEnd: passEnd }) },
+	});
+	const sessions = mockStripe(t, 'checkout.sessions', 'create', async () => ({ id: 'cs_1' }));
+
+	const response = await request('POST', '/create-payment-intent', {
+		token: tokenFor(user),
+		body: { planId: monthly._id.toString() },
+	});
+	assert.strictEqual(response.status, 409);
+	assert.match(response.body.message, new RegExp(passEnd.toISOString().split('T')[0]));
+	assert.strictEqual(sessions.mock.callCount(), 0);
+});
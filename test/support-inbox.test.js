@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, byEmail, cursor, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const admin = { _id: new ObjectId(), email: 'admin@example.com', name: 'Admin', role: 'admin' };
+const reader = { _id: new ObjectId(), email: 'reader@example.com', name: 'Reader', role: 'user' };
+
+const findUser = byEmail(admin, reader);
+
+test('filters the inbox by status, assignee and search', async (t) => {
+	const calls = mockDb(t, {
+		users: { findOne: findUser },
+		contacts: { find: () => cursor([]), countDocuments: async () => 0 },
+	});
+
+	const response = await request('GET', '/admin/messages?status=unread&assignedTo=me&search=a.b', {
+		token: tokenFor(admin),
+	});
+	assert.strictEqual(response.status, 200);
+
+	const [[filter]] = callsTo(calls, 'contacts', 'find');
+	assert.strictEqual(filter.status, 'unread');
+	assert.strictEqual(filter['assignedTo.email'], admin.email);
+	assert.deepStrictEqual(filter.$or[0], { name: { $regex: 'a\\.b', $options: 'i' } });
+
+	const invalid = await request('GET', '/admin/messages?status=spam', { token: tokenFor(admin) });
+	assert.strictEqual(invalid.status, 400);
+});
+
+test('keeps the inbox to support staff', async (t) => {
+	const calls = mockDb(t, { users: { findOne: findUser } });
+
+	const response = await request('GET', '/admin/messages', { token: tokenFor(reader) });
+	assert.strictEqual(response.status, 403);
+	assert.strictEqual(callsTo(calls, 'contacts', 'find').length, 0);
+});
+
+test('assigns messages only to support staff', async (t) => {
+	const calls = mockDb(t, { users: { findOne: findUser } });
+
+	const response = await request('PATCH', `/admin/messages/${new ObjectId()}/assign`, {
+		token: tokenFor(admin),
+		body: { assignee: reader.email },
+	});
+	assert.strictEqual(response.status, 400);
+	assert.strictEqual(callsTo(calls, 'contacts', 'updateOne').length, 0);
+});
+
+test('threads a reply, marks the message read and emails the sender', async (t) => {
+	t.mock.method(console, 'warn', () => {});
+	const message = {
+		_id: new ObjectId(),
+		name: 'Sender',
+		email: 'sender@example.com',
+		subject: 'Billing',
+		status: 'unread',
+	};
+	const calls = mockDb(t, {
+		users: { findOne: findUser },
+		contacts: { findOne: async () => message, updateOne: async () => ({ modifiedCount: 1 }) },
+		emailOutbox: { insertOne: async () => ({ insertedId: new ObjectId() }) },
+	});
+
+	const response = await request('POST', `/admin/messages/${message._id}/replies`, {
+		token: tokenFor(admin),
+		body: { message: 'We refunded you.' },
+	});
+	assert.strictEqual(response.status, 201);
+
+	const [[, update]] = callsTo(calls, 'contacts', 'updateOne');
+	assert.strictEqual(update.$push.replies.message, 'We refunded you.');
+	assert.strictEqual(update.$push.replies.authorEmail, admin.email);
+	assert.strictEqual(update.$set.status, 'read');
+
+	const [[email]] = callsTo(calls, 'emailOutbox', 'insertOne');
+	assert.strictEqual(email.to, message.email);
+	assert.strictEqual(email.template, 'support_reply');
+	assert.strictEqual(email.key, `support-reply:${response.body.data._id}`);
+	assert.strictEqual(email.subject, 'Re: Billing');
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, cursor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const hot = { _id: new ObjectId(), title: 'Hot', trendingScore: 12.5 };
+const popular = { _id: new ObjectId(), title: 'Popular', views: 900 };
+
+test('ranks articles by decayed recent activity and tops up quiet windows', async (t) => {
+	const calls = mockDb(t, {
+		articleViews: { aggregate: () => cursor([hot]) },
+		articles: { find: () => cursor([popular]) },
+	});
+
+	const response = await request('GET', '/articles/trending?window=24h&limit=2');
+	assert.strictEqual(response.status, 200);
+	assert.deepStrictEqual(
+		response.body.data.map((article) => [article.title, article.trendingScore]),
+		[
+			['Hot', 12.5],
+			['Popular', 0],
+		]
+	);
+
+	const [[pipeline]] = callsTo(calls, 'articleViews', 'aggregate');
+	const since = pipeline[0].$match.bucket.$gte;
+	assert.ok(Math.abs(Date.now() - 24 * 60 * 60 * 1000 - new Date(since)) < 60 * 1000);
+	const [[filter]] = callsTo(calls, 'articles', 'find');
+	assert.deepStrictEqual(filter._id, { $nin: [hot._id] });
+	assert.strictEqual(filter.status, 'approved');
+});
+
+test('rejects unknown windows', async (t) => {
+	mockDb(t);
+	const response = await request('GET', '/articles/trending?window=1y');
+	assert.strictEqual(response.status, 400);
+});
+
+test('creates each index once per process', async (t) => {
+	const user = { _id: new ObjectId(), email: 'reader@example.com', role: 'user' };
+	const calls = mockDb(t, {
+		refreshTokens: {
+			findOne: async () => ({
+				_id: new ObjectId(),
+				userId: user._id,
+				familyId: 'family',
+				revokedAt: null,
+				expiresAt: new Date(Date.now() + 60000),
+			}),
+			updateOne: async () => ({ modifiedCount: 1 }),
+			insertOne: async () => ({}),
+		},
+		users: { findOne: async () => user },
+	});
+
+	for (let i = 0; i < 2; i++) {
+		const response = await request('POST', '/auth/refresh', { body: { refreshToken: `token-${i}` } });
+		assert.strictEqual(response.status, 200);
+	}
+	assert.deepStrictEqual(
+		callsTo(calls, 'refreshTokens', 'createIndex').map(([keys]) => keys),
+		[{ tokenHash: 1 }, { expiresAt: 1 }]
+	);
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, cursor, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const author = { _id: new ObjectId(), email: 'author@example.com', role: 'user' };
+const noActivity = () => cursor([{ daily: [], byArticle: [], total: [] }]);
+
+const mockStats = (t, articles) =>
+	mockDb(t, {
+		articles: { find: () => cursor(articles), aggregate: noActivity },
+		articleViews: { aggregate: noActivity },
+		articleReaders: { aggregate: noActivity },
+		comments: { aggregate: noActivity },
+		ratings: { aggregate: noActivity },
+	});
+
+test("reports the average rating of the author's rated articles", async (t) => {
+	mockStats(t, [
+		{ _id: new ObjectId(), title: 'One', views: 10, averageRating: 4 },
+		{ _id: new ObjectId(), title: 'Two', views: 5, averageRating: 3 },
+		{ _id: new ObjectId(), title: 'Unrated', views: 1 },
+	]);
+
+	const response = await request('GET', '/user-stats', { token: tokenFor(author) });
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(response.body.stats.averageRating, 3.5);
+	assert.strictEqual(response.body.stats.totalPosts, 3);
+	assert.strictEqual(response.body.stats.totalViews, 16);
+});
+
+test('reports no average rating before any article is rated', async (t) => {
+	mockStats(t, [{ _id: new ObjectId(), title: 'Unrated', views: 1 }]);
+
+	const response = await request('GET', '/user-stats', { token: tokenFor(author) });
+	assert.strictEqual(response.body.stats.averageRating, null);
+});
+
+test('counts distinct readers without collecting them into one array', async (t) => {
+	const calls = mockStats(t, [{ _id: new ObjectId(), title: 'One', views: 1 }]);
+
+	const response = await request('GET', '/user-stats', { token: tokenFor(author) });
+	assert.strictEqual(response.status, 200);
+
+	const [[pipeline]] = callsTo(calls, 'articleReaders', 'aggregate');
+	const { daily, byArticle, total } = pipeline[1].$facet;
+	assert.deepStrictEqual(total, [
+		{ $group: { _id: { key: null, value: '$viewerKey' } } },
+		{ $group: { _id: '$_id.key', readers: { $sum: 1 } } },
+	]);
+	for (const facet of [daily, byArticle]) {
+		assert.strictEqual(facet.length, 2);
+		assert.strictEqual(facet[0].$group._id.value, '$viewerKey');
+	}
+	assert.doesNotMatch(JSON.stringify(pipeline), /\$addToSet/);
+});
+
+test('refuses a malformed article id', async (t) => {
+	const calls = mockStats(t, []);
+
+	const response = await request('GET', '/user-stats?articleId=not-an-id', { token: tokenFor(author) });
+	assert.strictEqual(response.status, 400);
+	assert.strictEqual(calls.length, 0);
+});
@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, mockDb, callsTo, tokenFor, useServer } = require('./helpers');
+
+const request = useServer();
+
+const article = { _id: new ObjectId() };
+const browser = 'Mozilla/5.0 (X11; Linux x86_64) Firefox/130.0';
+
+const mockViews = (t) =>
+	mockDb(t, {
+		articles: { findOne: async () => article, updateOne: async () => ({ modifiedCount: 1 }) },
+		articleViewers: { updateOne: async () => ({ upsertedCount: 1 }) },
+		articleViews: { updateOne: async () => ({ modifiedCount: 1 }) },
+		articleReaders: { updateOne: async () => ({ upsertedCount: 1 }) },
+	});
+
+const viewerKeys = (calls) => callsTo(calls, 'articleViewers', 'updateOne').map(([filter]) => filter.viewerKey);
+
+test('counts anonymous readers without a visitor id by address and user agent', async (t) => {
+	const calls = mockViews(t);
+
+	for (const userAgent of [browser, browser, 'Mozilla/5.0 (Macintosh) Safari/605.1.15']) {
+		const response = await request('POST', `/articles/${article._id}/view`, { headers: { 'user-agent': userAgent } });
+		assert.strictEqual(response.status, 200);
+		assert.strictEqual(response.body.data.counted, true);
+	}
+
+	const [first, repeat, other] = viewerKeys(calls);
+	assert.match(first, /^anon:[0-9a-f]{64}$/);
+	assert.strictEqual(repeat, first);
+	assert.notStrictEqual(other, first);
+});
+
+test('prefers the visitor id when the client sends one', async (t) => {
+	const calls = mockViews(t);
+
+	const response = await request('POST', `/articles/${article._id}/view`, {
+		headers: { 'user-agent': browser, 'x-visitor-id': 'visitor-1234' },
+	});
+	assert.strictEqual(response.status, 200);
+	assert.deepStrictEqual(viewerKeys(calls), ['visitor:visitor-1234']);
+});
+
+test('ignores bots', async (t) => {
+	const calls = mockViews(t);
+
+	const response = await request('POST', `/articles/${article._id}/view`, {
+		headers: { 'user-agent': 'Googlebot/2.1' },
+	});
+	assert.strictEqual(response.body.data.counted, false);
+	assert.strictEqual(calls.length, 0);
+});
+
+test('answers a malformed article id with a 404', async (t) => {
+	const calls = mockViews(t);
+
+	const response = await request('POST', '/articles/not-an-id/view', { headers: { 'user-agent': browser } });
+	assert.strictEqual(response.status, 404);
+	assert.strictEqual(calls.length, 0);
+});
+
+test('starts a new article with no views whatever the client sends', async (t) => {
+	const author = { _id: new ObjectId(), email: 'author@example.com' };
+	const publisher = { _id: new ObjectId(), name: 'Daily' };
+	const calls = mockDb(t, {
+		users: { findOne: async () => author },
+		publishers: { findOne: async () => publisher, updateOne: async () => ({ matchedCount: 1 }) },
+		articles: { countDocuments: async () => 0, insertOne: async () => ({ insertedId: new ObjectId() }) },
+	});
+
+	const response = await request('POST', '/articles', {
+		token: tokenFor(author),
+		body: {
+			title: 'New article',
+			image: 'https://example.com/image.png',
+			publisher: publisher._id.toString(),
+			tags: [{ value: 'news', label: 'News' }],
+			description: 'Description',
+			content: 'Content',
+			authorEmail: author.email,
+			views: 5000,
+			uniqueViews: 4000,
+		},
+	});
+	assert.strictEqual(response.status, 201);
+
+	const [[inserted]] = callsTo(calls, 'articles', 'insertOne');
+	assert.strictEqual(inserted.views, 0);
+	assert.strictEqual(inserted.uniqueViews, 0);
+});
@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { stripe, mockDb, callsTo, useServer } = require('./helpers');
+
+const request = useServer();
+
+//? Post an event to the webhook with a valid Stripe signature
+const sendEvent = (event) => {
+	const payload = JSON.stringify(event);
+	const signature = stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+	return request('POST', '/webhooks/stripe', { body: payload, headers: { 'stripe-signature': signature } });
+};
+
+const paidSession = {
+	id: 'cs_test_1',
+	mode: 'payment',
+	payment_status: 'paid',
+	payment_intent: 'pi_test_1',
+	customer_email: 'reader@example.com',
+	amount_total: 999,
+	metadata: { planId: 'plan-1', planName: 'Monthly', duration: '43200' },
+};
+
+test('rejects events without a valid signature', async (t) => {
+	mockDb(t);
+	const response = await request('POST', '/webhooks/stripe', {
+		body: { id: 'evt_1', type: 'checkout.session.completed' },
+		headers: { 'stripe-signature': 't=1,v1=invalid' },
+	});
+	assert.strictEqual(response.status, 400);
+});
+
+test('acknowledges an event it has already handled without processing it again', async (t) => {
+	const calls = mockDb(t, {
+		stripeEvents: {
+			insertOne: async () => {
+				throw Object.assign(new Error('duplicate key'), { code: 11000 });
+			},
+		},
+	});
+
+	const response = await sendEvent({ id: 'evt_1', type: 'checkout.session.completed', data: { object: paidSession } });
+	assert.strictEqual(response.status, 200);
+	assert.deepStrictEqual(response.body, { received: true, duplicate: true });
+	assert.strictEqual(callsTo(calls, 'payments', 'updateOne').length, 0);
+});
+
+test('records a paid checkout and extends the subscription', async (t) => {
+	const stored = {};
+	const calls = mockDb(t, {
+		stripeEvents: { insertOne: async () => ({ insertedId: 'evt_2' }) },
+		payments: {
+			findOne: async () => stored.payment || null,
+			updateOne: async (filter, update) => {
+				stored.payment = { _id: 'payment-1', ...update.$set, ...update.$setOnInsert };
+				return { modifiedCount: 1 };
+			},
+		},
+		users: {
+			findOne: async () => ({ email: 'reader@example.com', name: 'Reader' }),
+			updateOne: async () => ({ modifiedCount: 1 }),
+		},
+		emailOutbox: {
+			insertOne: async () => ({ insertedId: 'email-1' }),
+			findOneAndUpdate: async () => null,
+		},
+	});
+
+	const response = await sendEvent({ id: 'evt_2', type: 'checkout.session.completed', data: { object: paidSession } });
+	assert.strictEqual(response.status, 200);
+	assert.deepStrictEqual(response.body, { received: true });
+
+	const [[paymentFilter, paymentUpdate]] = callsTo(calls, 'payments', 'updateOne');
+	assert.deepStrictEqual(paymentFilter, { paymentId: 'pi_test_1' });
+	assert.strictEqual(paymentUpdate.$set.status, 'success');
+	assert.strictEqual(paymentUpdate.$set.amount, 999);
+
+	const [[receipt]] = callsTo(calls, 'emailOutbox', 'insertOne');
+	assert.strictEqual(receipt.data.name, 'Reader');
+
+	const [[, userUpdate]] = callsTo(calls, 'users', 'updateOne');
+	assert.strictEqual(userUpdate.$set.hasSubscription, true);
+	const days = (userUpdate.$set.subscriptionEnd - Date.now()) / (24 * 60 * 60 * 1000);
+	assert.ok(days > 29.9 && days <= 30, `expected a 30 day pass, got ${days} days`);
+});
+
+test('does not fulfill the same payment twice', async (t) => {
+	const calls = mockDb(t, {
+		stripeEvents: { insertOne: async () => ({ insertedId: 'evt_3' }) },
+		payments: {
+			findOne: async () => ({
+				paymentId: 'pi_test_1',
+				email: 'reader@example.com',
+				status: 'success',
+				periodStart: new Date(),
+				periodEnd: new Date(),
+			}),
+		},
+		users: { findOne: async () => ({ name: 'Reader' }) },
+		emailOutbox: { insertOne: async () => ({ insertedId: 'email-1' }), findOneAndUpdate: async () => null },
+	});
+
+	const response = await sendEvent({ id: 'evt_3', type: 'checkout.session.completed', data: { object: paidSession } });
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(callsTo(calls, 'users', 'updateOne').length, 0);
+});
+
+test('forgets the event when handling fails so the retry is processed', async (t) => {
+	const calls = mockDb(t, {
+		stripeEvents: { insertOne: async () => ({ insertedId: 'evt_4' }), deleteOne: async () => ({ deletedCount: 1 }) },
+		payments: {
+			findOne: async () => {
+				throw new Error('database unavailable');
+			},
+		},
+	});
+	t.mock.method(console, 'error', () => {});
+
+	const response = await sendEvent({ id: 'evt_4', type: 'checkout.session.completed', data: { object: paidSession } });
+	assert.strictEqual(response.status, 500);
+	assert.deepStrictEqual(callsTo(calls, 'stripeEvents', 'deleteOne'), [[{ _id: 'evt_4' }]]);
+});